@@ -0,0 +1,821 @@
+/********************************************************************
+ * DaddyBank parent admin – edit users, transactions, rate bands and
+ * matching rules in memory, import transactions from CSV, then export an
+ * updated dbstatefile.xml (or its JSON form).
+ * (c) 2025 Charles Danko
+ *
+ * Works directly on the global usersData (script.js), so the kid views
+ * reflect edits immediately. Nothing is saved until the exported XML
+ * replaces files/dbstatefile.xml. Opening it takes the parent PIN once
+ * the file has a <parentPin>. Edits to an existing user's transactions,
+ * name, interest method, policy, rate bands and matching rules, and their
+ * deletion, are appended to the user's change log (ledger.js section 12)
+ * with a reason, never made in place, so each can be undone. PINs are
+ * not logged.
+ ********************************************************************/
+
+let adminUserIdx = 0;     // index into usersData of the account being edited
+let adminTxEdit = -1;     // transaction index being edited, -1 = adding
+let adminRateEdit = -1;   // interestRate index being edited, -1 = adding
+let adminMatchEdit = -1;  // match rule index being edited, -1 = adding
+let adminCSV = null;      // parsed rows of the CSV being imported, null = none
+let adminCSVName = "";    // its file name, for the change log
+
+function initAdmin() {
+  document.getElementById("admin-button").addEventListener("click", requestAdmin);
+  document.getElementById("admin-exit-btn").addEventListener("click", exitAdmin);
+
+  document.getElementById("admin-user-select").addEventListener("change", (e) => {
+    adminUserIdx = parseInt(e.target.value) || 0;
+    resetTxForm();
+    resetRateForm();
+    resetMatchForm();
+    renderAdmin();
+    renderCSVPreview();
+  });
+  document.getElementById("admin-user-add-btn").addEventListener("click", addAdminUser);
+  document.getElementById("admin-user-rename-btn").addEventListener("click", renameAdminUser);
+  document.getElementById("admin-user-delete-btn").addEventListener("click", deleteAdminUser);
+  document.getElementById("admin-user-compounding").addEventListener("change", setAdminCompounding);
+  document.getElementById("admin-user-pin-btn").addEventListener("click", () => setAdminPin("user"));
+  document.getElementById("admin-user-pin-clear-btn").addEventListener("click", () => clearAdminPin("user"));
+  document.getElementById("admin-parent-pin-btn").addEventListener("click", () => setAdminPin("parent"));
+  document.getElementById("admin-parent-pin-clear-btn").addEventListener("click", () => clearAdminPin("parent"));
+  document.getElementById("admin-policy-btn").addEventListener("click", saveAdminPolicy);
+
+  const modeSelect = document.getElementById("admin-user-compounding");
+  for (const [mode, label] of Object.entries(COMPOUNDING_MODES)) {
+    const opt = document.createElement("option");
+    opt.value = mode;
+    opt.textContent = label;
+    modeSelect.appendChild(opt);
+  }
+
+  document.getElementById("admin-tx-form").addEventListener("submit", saveAdminTx);
+  document.getElementById("admin-tx-cancel-btn").addEventListener("click", resetTxForm);
+  document.getElementById("admin-rate-form").addEventListener("submit", saveAdminRate);
+  document.getElementById("admin-rate-cancel-btn").addEventListener("click", resetRateForm);
+  document.getElementById("admin-match-form").addEventListener("submit", saveAdminMatch);
+  document.getElementById("admin-match-cancel-btn").addEventListener("click", resetMatchForm);
+
+  document.getElementById("admin-csv-file").addEventListener("change", loadAdminCSV);
+  document.getElementById("admin-csv-header").addEventListener("change", renderCSVPreview);
+  CSV_COLUMNS.forEach(([field]) =>
+    document.getElementById(`admin-csv-${field}`).addEventListener("change", renderCSVPreview));
+  document.getElementById("admin-csv-import-btn").addEventListener("click", importAdminCSV);
+
+  document.getElementById("admin-export-format").addEventListener("change", refreshAdminExport);
+  document.getElementById("admin-export-btn").addEventListener("click", refreshAdminExport);
+  document.getElementById("admin-download-btn").addEventListener("click", downloadAdminExport);
+  document.getElementById("admin-copy-btn").addEventListener("click", copyAdminExport);
+}
+
+/********************************************************************
+ * 1) Enter / leave admin mode
+ ********************************************************************/
+// From the login screen: needs the parent PIN once one is set
+function requestAdmin() {
+  if (!hasParentPin()) {
+    setRole("parent");
+    return showAdmin();
+  }
+  const pin = document.getElementById("login-pin").value.trim();
+  verifyPin(pin, bankSettings.parentPin)
+    .then((ok) => {
+      if (!ok) return loginMessage(pin ? "Wrong parent PIN." : "Enter the parent PIN.", true);
+      document.getElementById("login-pin").value = "";
+      loginMessage("");
+      setRole("parent");
+      showAdmin();
+    })
+    .catch((err) => {
+      console.error("PIN check failed:", err);
+      loginMessage("Could not check the PIN in this browser.", true);
+    });
+}
+
+function showAdmin() {
+  document.getElementById("login-section").style.display = "none";
+  document.getElementById("main-menu").style.display = "none";
+  document.getElementById("admin-section").style.display = "block";
+  adminUserIdx = Math.min(adminUserIdx, Math.max(usersData.length - 1, 0));
+  resetTxForm();
+  resetRateForm();
+  renderAdmin();
+}
+
+function exitAdmin() {
+  document.getElementById("admin-section").style.display = "none";
+  populateUserSelect(usersData);
+
+  // Re-check the edited state exactly as it would be re-loaded from the export
+  const xmlDoc = new DOMParser().parseFromString(serializeBankXML(usersData, bankSettings), "text/xml");
+  showValidationReport(validateBank(readBankXML(xmlDoc)), policyIssues(activeUsers(parseBankXML(xmlDoc))));
+
+  // Back to the account the parent had open, else to the login screen
+  if (currentUser && usersData.includes(currentUser) && !currentUser.deleted) openAccount(currentUser);
+  else logout();
+}
+
+function adminMessage(text, isError = false) {
+  const el = document.getElementById("admin-message");
+  el.textContent = text;
+  el.className = isError ? "error" : "";
+}
+
+function adminUser() {
+  return usersData[adminUserIdx] || null;
+}
+
+// Asks why for a logged change; null (after saying so) when none is given
+function askReason(question, action) {
+  const reason = prompt(`${question} Reason:`);
+  if (reason === null) return null;
+  if (!reason.trim()) {
+    adminMessage(`Give a reason to ${action}.`, true);
+    return null;
+  }
+  return reason.trim();
+}
+
+/********************************************************************
+ * 2) Rendering
+ ********************************************************************/
+function renderAdmin() {
+  const select = document.getElementById("admin-user-select");
+  select.innerHTML = "";
+  usersData.forEach((u, idx) => {
+    const opt = document.createElement("option");
+    opt.value = idx;
+    opt.textContent = u.deleted ? `${u.name} (deleted)` : u.name;
+    select.appendChild(opt);
+  });
+  select.value = adminUserIdx;
+
+  const user = adminUser();
+  document.getElementById("admin-user-name").value = user ? user.name : "";
+  document.getElementById("admin-user-compounding").value = compoundingOf(user);
+  document.getElementById("admin-user-pin-status").textContent = user && user.pin ? "PIN set" : "No PIN";
+  const policy = user && user.policy;
+  document.getElementById("admin-policy-enforce").value = policy ? policy.enforce : "";
+  document.getElementById("admin-policy-minimum").value = policy && policy.minimumBalance ? policy.minimumBalance.toFixed(2) : "";
+  document.getElementById("admin-policy-penalty").value = policy && policy.penaltyMonths ? policy.penaltyMonths : "";
+  document.getElementById("admin-parent-pin-status").textContent =
+    hasParentPin() ? "Parent PIN set" : "No parent PIN: anyone can open Parent Admin and the Family overview";
+  // A deleted user can only be restored, by undoing the deletion in their log
+  const editable = user && !user.deleted;
+  for (const id of ["admin-user-rename-btn", "admin-user-delete-btn", "admin-user-compounding", "admin-policy-btn"]) {
+    document.getElementById(id).disabled = !editable;
+  }
+  document.getElementById("admin-tx-form").style.display = editable ? "block" : "none";
+  document.getElementById("admin-rate-form").style.display = editable ? "block" : "none";
+  document.getElementById("admin-match-form").style.display = editable ? "block" : "none";
+
+  renderAdminTxTable();
+  renderAdminRateTable();
+  renderAdminMatchTable();
+  renderAdminLogTable();
+  refreshAdminExport();
+}
+
+function actionButton(label, onClick) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.textContent = label;
+  btn.addEventListener("click", onClick);
+  return btn;
+}
+
+function appendRow(tbody, cells, idx, onEdit, onDelete, deleteLabel = "Delete") {
+  const tr = document.createElement("tr");
+  cells.forEach((text) => {
+    const td = document.createElement("td");
+    td.textContent = text;
+    tr.appendChild(td);
+  });
+  const tdActions = document.createElement("td");
+  tdActions.appendChild(actionButton("Edit", () => onEdit(idx)));
+  tdActions.appendChild(actionButton(deleteLabel, () => onDelete(idx)));
+  tr.appendChild(tdActions);
+  tbody.appendChild(tr);
+}
+
+function renderAdminTxTable() {
+  const tbody = document.querySelector("#admin-tx-table tbody");
+  tbody.innerHTML = "";
+  const user = adminUser();
+  if (!user) return;
+
+  user.transactions.forEach((t, idx) => {
+    appendRow(tbody, [`#${transactionId(user, idx)}`, t.date, t.type, (+t.amount).toFixed(2), t.category || "", t.memo || ""],
+      idx, editAdminTx, voidAdminTx, "Void");
+  });
+}
+
+// "#3 2025-01-02 deposit $12.00"
+function describeLoggedTx(id, t) {
+  return t ? `#${id} ${t.date} ${t.type} $${(+t.amount).toFixed(2)}` : `#${id}`;
+}
+
+// One setting as the log shows it: "2025-01-01 to 2025-12-31 10%", "none", …
+function describeSetting(key, value) {
+  if (key === "compounding") return COMPOUNDING_MODES[value] || value;
+  if (key === "policy") {
+    if (!value) return "none";
+    const parts = [value.enforce];
+    if (value.minimumBalance) parts.push(`minimum $${value.minimumBalance.toFixed(2)}`);
+    if (value.penaltyMonths) parts.push(`${value.penaltyMonths} months' interest penalty`);
+    return parts.join(", ");
+  }
+  if (key === "interestRates") {
+    return value.map((r) => `${r.startDate} to ${r.endDate} ${describeRate(r)}`).join("; ") || "none";
+  }
+  if (key === "matching") {
+    return value.map((m) => `${+(m.rate * 100).toFixed(4)}% on ${m.category || "all"}` +
+      (m.maxPerMonth === null ? "" : ` up to $${m.maxPerMonth.toFixed(2)}/month`)).join("; ") || "none";
+  }
+  return value;
+}
+
+// The log's "what" column for change c
+function describeChange(c, changes, user) {
+  const key = SETTING_CHANGES[c.action];
+  if (c.action === "reverted") return `change #${c.undoes} (${(changes[c.undoes - 1] || {}).action || "?"})`;
+  if (c.action === "deleted") return user.name;
+  if (!key) return describeLoggedTx(c.tx, c.transaction);
+  const value = describeSetting(key, c.value);
+  return c.previous === undefined ? value : `${describeSetting(key, c.previous)} → ${value}`;
+}
+
+function renderAdminLogTable() {
+  const tbody = document.querySelector("#admin-log-table tbody");
+  tbody.innerHTML = "";
+  const user = adminUser();
+  const changes = user && user.changeLog ? user.changeLog.changes : [];
+  document.getElementById("admin-log-empty").style.display = changes.length ? "none" : "block";
+
+  const undone = undoneChanges(changes);
+  changes.forEach((c, i) => {
+    const n = i + 1;
+    const tr = document.createElement("tr");
+    if (undone.has(n)) tr.className = "change-undone";
+    [n, new Date(c.at).toLocaleString(), c.action, describeChange(c, changes, user), c.reason].forEach((text) => {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    const tdActions = document.createElement("td");
+    tdActions.appendChild(actionButton(undone.has(n) ? "Redo" : "Undo", () => revertAdminChange(n)));
+    tr.appendChild(tdActions);
+    tbody.appendChild(tr);
+  });
+}
+
+function renderAdminRateTable() {
+  const tbody = document.querySelector("#admin-rate-table tbody");
+  tbody.innerHTML = "";
+  const user = adminUser();
+  if (!user) return;
+
+  user.interestRates.forEach((r, idx) => {
+    appendRow(tbody, [r.startDate, r.endDate, describeRate(r)], idx, editAdminRate, deleteAdminRate);
+  });
+}
+
+function renderAdminMatchTable() {
+  const tbody = document.querySelector("#admin-match-table tbody");
+  tbody.innerHTML = "";
+  const user = adminUser();
+  if (!user) return;
+
+  (user.matching || []).forEach((m, idx) => {
+    appendRow(tbody, [
+      `${+(m.rate * 100).toFixed(4)}%`,
+      m.maxPerMonth === null ? "no limit" : `$${m.maxPerMonth.toFixed(2)}`,
+      m.startDate || "any",
+      m.endDate || "any",
+      m.category || "all"
+    ], idx, editAdminMatch, deleteAdminMatch);
+  });
+}
+
+/********************************************************************
+ * 3) Users
+ ********************************************************************/
+function addAdminUser() {
+  const name = document.getElementById("admin-user-name").value.trim();
+  if (!name) return adminMessage("Enter a name for the new user.", true);
+  if (usersData.some((u) => u.name === name)) return adminMessage(`A user named "${name}" already exists.`, true);
+
+  usersData.push({ name, compounding: "monthly", transactions: [], interestRates: [] });
+  adminUserIdx = usersData.length - 1;
+  adminMessage(`Added user "${name}".`);
+  renderAdmin();
+}
+
+function renameAdminUser() {
+  const user = adminUser();
+  if (!user) return;
+  const name = document.getElementById("admin-user-name").value.trim();
+  if (!name) return adminMessage("Name cannot be empty.", true);
+  if (usersData.some((u) => u !== user && u.name === name)) return adminMessage(`A user named "${name}" already exists.`, true);
+  if (name === user.name) return;
+  const reason = askReason(`Rename ${user.name} to ${name}?`, "rename the user");
+  if (reason === null) return renderAdmin();
+
+  recordChange(user, { action: "renamed", value: name, reason });
+  adminMessage(`Renamed user to "${name}".`);
+  renderAdmin();
+}
+
+function setAdminCompounding(e) {
+  const user = adminUser();
+  if (!user) return;
+  const mode = e.target.value;
+  const reason = askReason(`Change ${user.name}'s interest method to ${COMPOUNDING_MODES[mode]}?`, "change the interest method");
+  if (reason === null) return renderAdmin();
+
+  recordChange(user, { action: "compounding-changed", value: mode, reason });
+  adminMessage(`Interest method for ${user.name}: ${COMPOUNDING_MODES[user.compounding]}.`);
+  renderAdmin();
+}
+
+// Withdrawal policy: "" in the enforce select removes it
+function saveAdminPolicy() {
+  const user = adminUser();
+  if (!user) return;
+  const enforce = document.getElementById("admin-policy-enforce").value;
+  const minStr = document.getElementById("admin-policy-minimum").value.trim();
+  const penaltyStr = document.getElementById("admin-policy-penalty").value.trim();
+
+  if (!enforce) {
+    if (!user.policy) return;
+    const reason = askReason(`Stop checking ${user.name}'s withdrawals?`, "remove the policy");
+    if (reason === null) return;
+    recordChange(user, { action: "policy-changed", value: null, reason });
+    adminMessage(`${user.name}'s withdrawals are no longer checked.`);
+    return renderAdmin();
+  }
+  const errors = [];
+  if (minStr && !/^\d+(\.\d{1,2})?$/.test(minStr)) errors.push(`Minimum balance "${minStr}" must be an amount of 0 or more.`);
+  if (penaltyStr && !(/^\d+(\.\d+)?$/.test(penaltyStr) && parseFloat(penaltyStr) > 0)) errors.push(`Penalty "${penaltyStr}" must be a positive number of months.`);
+  if (errors.length) return adminMessage(errors.join(" "), true);
+
+  const policy = {
+    enforce,
+    minimumBalance: minStr ? parseFloat(minStr) : 0,
+    penaltyMonths: penaltyStr ? parseFloat(penaltyStr) : 0
+  };
+  const reason = askReason(`Save this withdrawal policy for ${user.name}?`, "change the policy");
+  if (reason === null) return;
+  recordChange(user, { action: "policy-changed", value: policy, reason });
+  adminMessage(`Withdrawal policy for ${user.name}: ${enforce === "reject" ? "reject" : "flag"} withdrawals that break it.`);
+  renderAdmin();
+}
+
+// PINs are hashed here; only the hash goes into the exported XML
+function setAdminPin(target) {
+  const user = adminUser();
+  if (target === "user" && !user) return;
+  const input = document.getElementById(target === "user" ? "admin-user-pin" : "admin-parent-pin");
+  const pin = input.value.trim();
+  if (!isValidPin(pin)) return adminMessage("A PIN is 4 to 8 digits.", true);
+
+  hashPin(pin)
+    .then((hash) => {
+      if (target === "user") user.pin = hash;
+      else bankSettings.parentPin = hash;
+      input.value = "";
+      adminMessage(target === "user" ? `PIN set for ${user.name}.` : "Parent PIN set.");
+      renderAdmin();
+    })
+    .catch((err) => {
+      console.error("PIN hashing failed:", err);
+      adminMessage("Could not hash the PIN in this browser.", true);
+    });
+}
+
+function clearAdminPin(target) {
+  const user = adminUser();
+  if (target === "user") {
+    if (!user) return;
+    delete user.pin;
+    adminMessage(`Removed the PIN for ${user.name}.`);
+  } else {
+    bankSettings.parentPin = "";
+    adminMessage("Removed the parent PIN.");
+  }
+  renderAdmin();
+}
+
+// The user stays in the file, logged as deleted, until the deletion is undone
+function deleteAdminUser() {
+  const user = adminUser();
+  if (!user || user.deleted) return;
+  const reason = askReason(`Delete ${user.name} and all of their transactions?`, "delete the user");
+  if (reason === null) return;
+
+  recordChange(user, { action: "deleted", reason });
+  if (currentUser === user) currentUser = null;
+  adminMessage(`Deleted user "${user.name}". Undo change #${user.changeLog.changes.length} in the log to restore them.`);
+  renderAdmin();
+}
+
+/********************************************************************
+ * 4) Transactions
+ ********************************************************************/
+function resetTxForm() {
+  adminTxEdit = -1;
+  document.getElementById("admin-tx-form").reset();
+  document.getElementById("admin-tx-date").value = iso(new Date());
+  document.getElementById("admin-tx-submit-btn").textContent = "Add Transaction";
+}
+
+function editAdminTx(idx) {
+  const t = adminUser().transactions[idx];
+  adminTxEdit = idx;
+  document.getElementById("admin-tx-date").value = t.date;
+  document.getElementById("admin-tx-type").value = t.type.toLowerCase();
+  document.getElementById("admin-tx-amount").value = (+t.amount).toFixed(2);
+  document.getElementById("admin-tx-category").value = t.category || "";
+  document.getElementById("admin-tx-memo").value = t.memo || "";
+  document.getElementById("admin-tx-locked").value = t.lockedUntil || "";
+  document.getElementById("admin-tx-reason").value = "";
+  document.getElementById("admin-tx-submit-btn").textContent = "Save Correction";
+}
+
+function saveAdminTx(e) {
+  e.preventDefault();
+  const user = adminUser();
+  if (!user) return;
+
+  const date = document.getElementById("admin-tx-date").value.trim();
+  const type = document.getElementById("admin-tx-type").value;
+  const amountStr = document.getElementById("admin-tx-amount").value.trim();
+  const category = document.getElementById("admin-tx-category").value.trim();
+  const memo = document.getElementById("admin-tx-memo").value.trim();
+  const lockedUntil = document.getElementById("admin-tx-locked").value.trim();
+  const reason = document.getElementById("admin-tx-reason").value.trim();
+
+  const errors = [];
+  if (!isValidISODate(date)) errors.push(`Date "${date}" is not a valid YYYY-MM-DD date.`);
+  if (!isValidAmount(amountStr)) errors.push(`Amount "${amountStr}" must be a positive number with at most two decimals.`);
+  if (lockedUntil && !isValidISODate(lockedUntil)) errors.push(`Locked-until "${lockedUntil}" is not a valid YYYY-MM-DD date.`);
+  if (lockedUntil && !(TX_SIGNS[type] > 0)) errors.push("Only money paid in can be locked.");
+  if (adminTxEdit >= 0 && !reason) errors.push("Give a reason for the correction.");
+  if (errors.length) return adminMessage(errors.join(" "), true);
+
+  // Keep fields this form does not edit (jar, from, to, …)
+  const previous = adminTxEdit >= 0 ? user.transactions[adminTxEdit] : {};
+  const tx = { ...previous, date, type, amount: parseFloat(amountStr) };
+  delete tx.id;
+  delete tx.corrected;
+  for (const [field, value] of [["category", category], ["memo", memo], ["lockedUntil", lockedUntil]]) {
+    if (value) tx[field] = value;
+    else delete tx[field];
+  }
+  if (type === "transfer" && !(tx.from && tx.to)) {
+    return adminMessage("Transfers between jars need <from> and <to>; add those in the XML.", true);
+  }
+  if (adminTxEdit >= 0) {
+    recordChange(user, { action: "corrected", tx: transactionId(user, adminTxEdit), reason, transaction: tx });
+  } else {
+    recordChange(user, { action: "added", reason, transaction: tx });
+  }
+
+  adminMessage(`${adminTxEdit >= 0 ? "Corrected" : "Added"} ${type} of $${tx.amount.toFixed(2)} on ${date}.`);
+  resetTxForm();
+  renderAdmin();
+}
+
+// Voided rows stay in History, struck through; Undo in the change log brings them back
+function voidAdminTx(idx) {
+  const user = adminUser();
+  const t = user.transactions[idx];
+  const reason = askReason(`Void ${t.type} of $${(+t.amount).toFixed(2)} on ${t.date}?`, "void the transaction");
+  if (reason === null) return;
+
+  recordChange(user, { action: "voided", tx: transactionId(user, idx), reason });
+  adminMessage(`Voided ${t.type} on ${t.date}.`);
+  resetTxForm();
+  renderAdmin();
+}
+
+function revertAdminChange(n) {
+  const user = adminUser();
+  const redo = undoneChanges(user.changeLog.changes).has(n);
+  const reason = askReason(`${redo ? "Redo" : "Undo"} change #${n}?`, `${redo ? "redo" : "undo"} the change`);
+  if (reason === null) return;
+
+  revertChange(user, n, reason);
+  adminMessage(`${redo ? "Redid" : "Undid"} change #${n}.`);
+  resetTxForm();
+  renderAdmin();
+}
+
+/********************************************************************
+ * 5) Interest rate bands
+ ********************************************************************/
+function resetRateForm() {
+  adminRateEdit = -1;
+  document.getElementById("admin-rate-form").reset();
+  document.getElementById("admin-rate-submit-btn").textContent = "Add Rate Band";
+}
+
+// Tiers as typed in the form: "30 up to 100, 10" is 30% on the first
+// $100.00 and 10% above. Returns null when the text does not parse.
+function parseTierText(text) {
+  const tiers = [];
+  for (const part of text.split(",")) {
+    const m = /^(\d+(?:\.\d+)?)\s*%?\s*(?:up to\s*\$?(\d+(?:\.\d{1,2})?))?$/i.exec(part.trim());
+    if (!m) return null;
+    tiers.push({ upTo: m[2] ? parseFloat(m[2]) : null, rate: parseFloat(m[1]) / 100 });
+  }
+  return tiers;
+}
+
+function formatTierText(tiers) {
+  return tiers.map((t) => `${+(t.rate * 100).toFixed(4)}${t.upTo === null ? "" : ` up to ${t.upTo.toFixed(2)}`}`).join(", ");
+}
+
+function editAdminRate(idx) {
+  const r = adminUser().interestRates[idx];
+  adminRateEdit = idx;
+  document.getElementById("admin-rate-start").value = r.startDate;
+  document.getElementById("admin-rate-end").value = r.endDate;
+  document.getElementById("admin-rate-apy").value = r.tiers ? "" : +(r.rate * 100).toFixed(4);
+  document.getElementById("admin-rate-tiers").value = r.tiers ? formatTierText(r.tiers) : "";
+  document.getElementById("admin-rate-submit-btn").textContent = "Save Rate Band";
+}
+
+function saveAdminRate(e) {
+  e.preventDefault();
+  const user = adminUser();
+  if (!user) return;
+
+  const startDate = document.getElementById("admin-rate-start").value.trim();
+  const endDate = document.getElementById("admin-rate-end").value.trim();
+  const apyStr = document.getElementById("admin-rate-apy").value.trim();
+  const apyPct = parseFloat(apyStr);
+  const tierStr = document.getElementById("admin-rate-tiers").value.trim();
+  const tiers = tierStr ? parseTierText(tierStr) : null;
+
+  const errors = [];
+  if (!isValidISODate(startDate)) errors.push(`Start date "${startDate}" is not a valid YYYY-MM-DD date.`);
+  if (!isValidISODate(endDate)) errors.push(`End date "${endDate}" is not a valid YYYY-MM-DD date.`);
+  if (!errors.length && localDate(endDate) < localDate(startDate)) errors.push("End date is before start date.");
+  if (tierStr) {
+    const ceilings = (tiers || []).map((t) => t.upTo);
+    const rising = ceilings.every((c, k) => (c === null ? k === ceilings.length - 1 : k === 0 || c > ceilings[k - 1]));
+    if (!tiers || !rising) errors.push(`Tiers "${tierStr}" must read like "30 up to 100, 10", with rising amounts.`);
+  } else if (!/^\d+(\.\d+)?$/.test(apyStr) || !(apyPct >= 0)) {
+    errors.push(`APY "${apyStr}" must be a percentage of 0 or more.`);
+  }
+  if (errors.length) return adminMessage(errors.join(" "), true);
+
+  const band = tiers
+    ? { startDate, endDate, rate: tiers[0].rate, tiers }
+    : { startDate, endDate, rate: apyPct / 100 };
+  const bands = [...user.interestRates];
+  if (adminRateEdit >= 0) bands[adminRateEdit] = band;
+  else bands.push(band);
+  bands.sort((a, b) => localDate(a.startDate) - localDate(b.startDate));
+
+  const problems = rateBandProblems(bands.map((b, i) => ({ index: i + 1, ...b })));
+  if (problems.some((p) => p.message.startsWith("Overlaps"))) {
+    return adminMessage(`${startDate} to ${endDate} overlaps an existing rate band.`, true);
+  }
+  const verb = adminRateEdit >= 0 ? "Update" : "Add";
+  const reason = askReason(`${verb} the rate band ${startDate} to ${endDate}?`, `${verb.toLowerCase()} the rate band`);
+  if (reason === null) return;
+  recordChange(user, { action: "rates-changed", value: bands, reason });
+
+  const gaps = problems.map((p) => p.message).join(" ");
+  adminMessage(`${adminRateEdit >= 0 ? "Updated" : "Added"} ${describeRate(band)} APY from ${startDate} to ${endDate}.${gaps ? ` Note: ${gaps}` : ""}`);
+  resetRateForm();
+  renderAdmin();
+}
+
+function deleteAdminRate(idx) {
+  const user = adminUser();
+  const r = user.interestRates[idx];
+  const reason = askReason(`Delete the rate band ${r.startDate} to ${r.endDate}?`, "delete the rate band");
+  if (reason === null) return;
+
+  recordChange(user, { action: "rates-changed", value: user.interestRates.filter((_, k) => k !== idx), reason });
+  adminMessage(`Deleted rate band ${r.startDate} to ${r.endDate}.`);
+  resetRateForm();
+  renderAdmin();
+}
+
+/********************************************************************
+ * 6) Parent matching rules
+ ********************************************************************/
+function resetMatchForm() {
+  adminMatchEdit = -1;
+  document.getElementById("admin-match-form").reset();
+  document.getElementById("admin-match-submit-btn").textContent = "Add Matching Rule";
+}
+
+function editAdminMatch(idx) {
+  const m = adminUser().matching[idx];
+  adminMatchEdit = idx;
+  document.getElementById("admin-match-rate").value = +(m.rate * 100).toFixed(4);
+  document.getElementById("admin-match-cap").value = m.maxPerMonth === null ? "" : m.maxPerMonth.toFixed(2);
+  document.getElementById("admin-match-start").value = m.startDate;
+  document.getElementById("admin-match-end").value = m.endDate;
+  document.getElementById("admin-match-category").value = m.category || "";
+  document.getElementById("admin-match-submit-btn").textContent = "Save Matching Rule";
+}
+
+function saveAdminMatch(e) {
+  e.preventDefault();
+  const user = adminUser();
+  if (!user) return;
+
+  const rateStr = document.getElementById("admin-match-rate").value.trim();
+  const capStr = document.getElementById("admin-match-cap").value.trim();
+  const startDate = document.getElementById("admin-match-start").value.trim();
+  const endDate = document.getElementById("admin-match-end").value.trim();
+  const category = document.getElementById("admin-match-category").value.trim();
+
+  const errors = [];
+  if (!/^\d+(\.\d+)?$/.test(rateStr) || !(parseFloat(rateStr) > 0)) errors.push(`Match "${rateStr}" must be a percentage above 0.`);
+  if (capStr && !isValidAmount(capStr)) errors.push(`Monthly limit "${capStr}" must be a positive number with at most two decimals.`);
+  if (startDate && !isValidISODate(startDate)) errors.push(`Start date "${startDate}" is not a valid YYYY-MM-DD date.`);
+  if (endDate && !isValidISODate(endDate)) errors.push(`End date "${endDate}" is not a valid YYYY-MM-DD date.`);
+  if (!errors.length && startDate && endDate && endDate < startDate) errors.push("End date is before start date.");
+  if (errors.length) return adminMessage(errors.join(" "), true);
+
+  const rule = { rate: parseFloat(rateStr) / 100, maxPerMonth: capStr ? parseFloat(capStr) : null, startDate, endDate };
+  if (category) rule.category = category;
+  const matching = [...(user.matching || [])];
+  if (adminMatchEdit >= 0) matching[adminMatchEdit] = rule;
+  else matching.push(rule);
+  const verb = adminMatchEdit >= 0 ? "Update" : "Add";
+  const reason = askReason(`${verb} the ${rateStr}% matching rule?`, `${verb.toLowerCase()} the matching rule`);
+  if (reason === null) return;
+  recordChange(user, { action: "matching-changed", value: matching, reason });
+
+  const cap = rule.maxPerMonth === null ? "" : ` up to $${rule.maxPerMonth.toFixed(2)} a month`;
+  adminMessage(`${adminMatchEdit >= 0 ? "Updated" : "Added"} a ${rateStr}% match on ${category || "all"} deposits${cap}.`);
+  resetMatchForm();
+  renderAdmin();
+}
+
+function deleteAdminMatch(idx) {
+  const user = adminUser();
+  const m = user.matching[idx];
+  const reason = askReason(`Delete the ${+(m.rate * 100).toFixed(4)}% matching rule?`, "delete the matching rule");
+  if (reason === null) return;
+
+  recordChange(user, { action: "matching-changed", value: user.matching.filter((_, k) => k !== idx), reason });
+  adminMessage(`Deleted the ${+(m.rate * 100).toFixed(4)}% matching rule.`);
+  resetMatchForm();
+  renderAdmin();
+}
+
+/********************************************************************
+ * 7) Import transactions from CSV
+ *
+ * The parent picks a CSV file and which of its columns hold the date,
+ * type and amount (memo and category optional); the preview marks each
+ * row new, duplicate or invalid (csvImportRows) for the account above,
+ * and only the new rows are added, each logged as an "added" change.
+ ********************************************************************/
+// [field, required]; each guessed from a header cell containing the field name
+const CSV_COLUMNS = [
+  ["date", true],
+  ["type", false],
+  ["amount", true],
+  ["memo", false],
+  ["category", false]
+];
+
+function loadAdminCSV(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+  file.text()
+    .then((text) => {
+      adminCSV = parseCSV(text);
+      adminCSVName = file.name;
+      if (!adminCSV.length) {
+        adminCSV = null;
+        adminMessage(`${file.name} has no rows.`, true);
+      } else {
+        fillCSVColumnSelects();
+        adminMessage(`Read ${adminCSV.length} rows from ${file.name}; check the columns below.`);
+      }
+      renderCSVPreview();
+    })
+    .catch((err) => {
+      console.error("Error reading CSV:", err);
+      adminMessage(`Could not read ${file.name}.`, true);
+    });
+}
+
+function fillCSVColumnSelects() {
+  const header = adminCSV[0];
+  CSV_COLUMNS.forEach(([field, required]) => {
+    const select = document.getElementById(`admin-csv-${field}`);
+    select.innerHTML = "";
+    if (!required) {
+      const none = document.createElement("option");
+      none.value = "";
+      none.textContent = field === "type" ? "(from the amount's sign)" : "(none)";
+      select.appendChild(none);
+    }
+    header.forEach((cell, col) => {
+      const opt = document.createElement("option");
+      opt.value = col;
+      opt.textContent = `${col + 1}: ${cell.trim() || "(blank)"}`;
+      select.appendChild(opt);
+    });
+    const guess = header.findIndex((cell) => cell.toLowerCase().includes(field));
+    const fallback = { date: 0, amount: header.length - 1 }[field];
+    select.value = guess >= 0 ? guess : required ? fallback : "";
+  });
+}
+
+function csvColumns() {
+  const columns = {};
+  CSV_COLUMNS.forEach(([field]) => {
+    const value = document.getElementById(`admin-csv-${field}`).value;
+    columns[field] = value === "" ? null : parseInt(value);
+  });
+  return columns;
+}
+
+function csvPreviewRows() {
+  const user = adminUser();
+  if (!adminCSV || !user) return [];
+  return csvImportRows(user, adminCSV, csvColumns(), document.getElementById("admin-csv-header").checked);
+}
+
+function renderCSVPreview() {
+  const tbody = document.querySelector("#admin-csv-table tbody");
+  tbody.innerHTML = "";
+  const rows = csvPreviewRows();
+  rows.forEach((r) => {
+    const tr = document.createElement("tr");
+    tr.className = `csv-${r.status}`;
+    const t = r.tx || {};
+    [r.line, t.date || "", t.type || "", t.amount !== undefined ? t.amount.toFixed(2) : "", t.category || "", t.memo || "",
+      r.message ? `${r.status}: ${r.message}` : r.status].forEach((text) => {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+
+  const fresh = rows.filter((r) => r.status === "new").length;
+  const button = document.getElementById("admin-csv-import-btn");
+  button.disabled = !fresh;
+  button.textContent = `Import ${fresh} new row${fresh === 1 ? "" : "s"}`;
+  document.getElementById("admin-csv-columns").style.display = adminCSV ? "block" : "none";
+}
+
+function importAdminCSV() {
+  const user = adminUser();
+  const fresh = csvPreviewRows().filter((r) => r.status === "new");
+  if (!user || !fresh.length) return;
+
+  fresh.forEach((r) => recordChange(user, { action: "added", reason: `Imported from ${adminCSVName}`, transaction: r.tx }));
+  adminMessage(`Imported ${fresh.length} transaction${fresh.length === 1 ? "" : "s"} into ${user.name}.`);
+  renderAdmin();
+  renderCSVPreview();   // the imported rows now show as duplicates
+}
+
+/********************************************************************
+ * 8) Export
+ ********************************************************************/
+// The textarea holds the XML or, when chosen, the same state as JSON
+function adminExportText() {
+  return document.getElementById("admin-export-format").value === "json"
+    ? serializeBankJSON(usersData, bankSettings)
+    : serializeBankXML(usersData, bankSettings);
+}
+
+function refreshAdminExport() {
+  document.getElementById("admin-xml-output").value = adminExportText();
+}
+
+function downloadAdminExport() {
+  refreshAdminExport();
+  const json = document.getElementById("admin-export-format").value === "json";
+  downloadText(json ? "dbstatefile.json" : "dbstatefile.xml", document.getElementById("admin-xml-output").value,
+    json ? "application/json" : "application/xml");
+}
+
+function copyAdminExport() {
+  refreshAdminExport();
+  const text = document.getElementById("admin-xml-output").value;
+  const format = document.getElementById("admin-export-format").value === "json" ? "JSON" : "XML";
+  navigator.clipboard.writeText(text)
+    .then(() => adminMessage(`${format} copied to the clipboard.`))
+    .catch(() => {
+      document.getElementById("admin-xml-output").select();
+      adminMessage(`Could not copy automatically; the ${format} is selected, press Ctrl+C.`, true);
+    });
+}
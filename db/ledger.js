@@ -0,0 +1,2464 @@
+/********************************************************************
+ * DaddyBank ledger – pure interest/ledger engine (no DOM access)
+ * (c) 2025 Charles Danko
+ *
+ * Loaded by index.html as a plain <script> before script.js (functions
+ * become globals), and by Node via require() for the test suite:
+ *
+ *     node --test db/test/
+ ********************************************************************/
+
+/********************************************************************
+ * 1) Parse XML or JSON (users, transactions, and per-user interestRates)
+ *
+ * readBankXML pulls the raw trimmed text of every field out of a parsed
+ * XML Document (DOMParser in the browser), with null for missing tags.
+ * readBankJSON does the same for the JSON form of the file (same
+ * structure, see serializeBankJSON), so both give identical raw records.
+ * parseBankRaw turns those into the users array the engine uses, filling
+ * defaults; validateBank (section 7) reports what those defaults hide.
+ * None of them touches any page state.
+ ********************************************************************/
+
+// Optional <transaction> fields: jar routing, a free-text memo and
+// category, and the date a locked deposit matures. Copied and written
+// back only when present, so plain files round-trip unchanged.
+const TX_OPTIONAL_FIELDS = ["jar", "from", "to", "memo", "category", "lockedUntil"];
+
+// Leaf fields of each record, shared by both readers
+const RAW_FIELDS = {
+  transaction: ["date", "type", "amount", ...TX_OPTIONAL_FIELDS],
+  recurring: ["amount", "type", "frequency", "startDate", "endDate", "jar"],
+  match: ["rate", "maxPerMonth", "startDate", "endDate", "category"],
+  policy: ["enforce", "minimumBalance", "penaltyMonths"],
+  goal: ["name", "target", "targetDate"],
+  tier: ["upTo", "rate"],
+  change: ["at", "action", "tx", "undoes", "reason"]
+};
+
+function readBankXML(xmlDoc) {
+  const text = (node, tag) => {
+    const el = node.getElementsByTagName(tag)[0];
+    return el ? el.textContent.trim() : null;
+  };
+  // Direct children only, so a <goal>'s <name> is never taken for the user's
+  const children = (node, tag) => Array.from(node.children).filter((c) => c.tagName === tag);
+  const childText = (node, tag) => {
+    const el = children(node, tag)[0];
+    return el ? el.textContent.trim() : null;
+  };
+  const fieldsOf = (el, fields) => Object.fromEntries(fields.map((f) => [f, text(el, f)]));
+  // <containerTag><itemTag><field/>…</itemTag>…</containerTag> -> [{ field: text }]
+  const records = (node, containerTag, itemTag, fields) => {
+    const container = children(node, containerTag)[0];
+    if (!container) return [];
+    return children(container, itemTag).map((el) => fieldsOf(el, fields));
+  };
+  // An <interestRate> may split the balance into <tiers>, each <tier> an
+  // optional <upTo> ceiling and its own <rate>
+  const rateBands = (node) => {
+    const container = children(node, "interestRates")[0];
+    if (!container) return [];
+    return children(container, "interestRate").map((el) => {
+      const band = fieldsOf(el, ["startDate", "endDate"]);
+      band.rate = childText(el, "rate");
+      if (children(el, "tiers").length) band.tiers = records(el, "tiers", "tier", RAW_FIELDS.tier);
+      return band;
+    });
+  };
+
+  const errNode = xmlDoc.getElementsByTagName("parsererror")[0];
+  if (errNode) return { parseError: errNode.textContent.trim(), hasUsers: false, users: [], parentPin: null };
+
+  const usersParent = xmlDoc.getElementsByTagName("users")[0];
+  const userNodes = usersParent ? children(usersParent, "user") : [];
+
+  // The settings a change log can replace, as a <user> (or a change's
+  // <value>/<previous>) holds them
+  const settingsOf = (node) => {
+    const policyNode = children(node, "policy")[0];
+    return {
+      name: childText(node, "name"),
+      compounding: childText(node, "compounding"),
+      policy: policyNode ? fieldsOf(policyNode, RAW_FIELDS.policy) : null,
+      matching: children(node, "match").map((el) => fieldsOf(el, RAW_FIELDS.match)),
+      interestRates: rateBands(node)
+    };
+  };
+
+  // A <change> may carry the <transaction> it adds or corrects, or the
+  // setting it replaces as <value> and <previous>
+  const change = (el) => {
+    const txNode = children(el, "transaction")[0];
+    const valueNode = children(el, "value")[0];
+    const previousNode = children(el, "previous")[0];
+    return {
+      ...fieldsOf(el, RAW_FIELDS.change),
+      transaction: txNode ? fieldsOf(txNode, RAW_FIELDS.transaction) : null,
+      value: valueNode ? settingsOf(valueNode) : null,
+      previous: previousNode ? settingsOf(previousNode) : null
+    };
+  };
+
+  const users = userNodes.map((userNode) => {
+    const jarsNode = children(userNode, "jars")[0];
+    const changesNode = children(userNode, "changes")[0];
+    return {
+      ...settingsOf(userNode),
+      pin: childText(userNode, "pin"),
+      transactions: records(userNode, "transactions", "transaction", RAW_FIELDS.transaction),
+      changes: changesNode ? children(changesNode, "change").map(change) : null,
+      recurring: children(userNode, "recurring").map((el) => fieldsOf(el, RAW_FIELDS.recurring)),
+      goals: records(userNode, "goals", "goal", RAW_FIELDS.goal),
+      jars: jarsNode
+        ? children(jarsNode, "jar").map((el) => ({ name: childText(el, "name"), interestRates: rateBands(el) }))
+        : []
+    };
+  });
+
+  const parentPin = xmlDoc.documentElement ? childText(xmlDoc.documentElement, "parentPin") : null;
+  return { parseError: null, hasUsers: !!usersParent, users, parentPin };
+}
+
+// The JSON form: { parentPin?, users: [{ name, transactions: [{ date, … }],
+// interestRates: [{ startDate, endDate, rate | tiers }], … }] }, the same
+// nesting as the XML with arrays for repeated elements. Numbers and
+// strings are both accepted, so a hand-written "10" reads like <rate>10</rate>.
+function readBankJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { format: "JSON", parseError: e.message, hasUsers: false, users: [], parentPin: null };
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return { format: "JSON", parseError: "expected an object with a \"users\" list", hasUsers: false, users: [], parentPin: null };
+  }
+
+  const str = (v) => (v === undefined || v === null ? null : String(v).trim());
+  const list = (v) => (Array.isArray(v) ? v.filter((o) => o && typeof o === "object") : []);
+  const fieldsOf = (obj, fields) => Object.fromEntries(fields.map((f) => [f, str(obj[f])]));
+  const rateBands = (arr) => list(arr).map((r) => {
+    const band = fieldsOf(r, ["startDate", "endDate", "rate"]);
+    if (Array.isArray(r.tiers)) band.tiers = list(r.tiers).map((t) => fieldsOf(t, RAW_FIELDS.tier));
+    return band;
+  });
+
+  const object = (v) => v && typeof v === "object" && !Array.isArray(v);
+  const settingsOf = (o) => ({
+    name: str(o.name),
+    compounding: str(o.compounding),
+    policy: object(o.policy) ? fieldsOf(o.policy, RAW_FIELDS.policy) : null,
+    matching: list(o.matching).map((m) => fieldsOf(m, RAW_FIELDS.match)),
+    interestRates: rateBands(o.interestRates)
+  });
+
+  const users = list(data.users).map((u) => ({
+    ...settingsOf(u),
+    pin: str(u.pin),
+    transactions: list(u.transactions).map((t) => fieldsOf(t, RAW_FIELDS.transaction)),
+    changes: Array.isArray(u.changes)
+      ? list(u.changes).map((c) => ({
+        ...fieldsOf(c, RAW_FIELDS.change),
+        transaction: object(c.transaction) ? fieldsOf(c.transaction, RAW_FIELDS.transaction) : null,
+        value: object(c.value) ? settingsOf(c.value) : null,
+        previous: object(c.previous) ? settingsOf(c.previous) : null
+      }))
+      : null,
+    recurring: list(u.recurring).map((r) => fieldsOf(r, RAW_FIELDS.recurring)),
+    goals: list(u.goals).map((g) => fieldsOf(g, RAW_FIELDS.goal)),
+    jars: list(u.jars).map((j) => ({ name: str(j.name), interestRates: rateBands(j.interestRates) }))
+  }));
+
+  return { format: "JSON", parseError: null, hasUsers: Array.isArray(data.users), users, parentPin: str(data.parentPin) };
+}
+
+// Accept either 0.10 for 10% or 10 for 10%
+function normalizeRate(rateStr) {
+  const rate = parseFloat(rateStr || "0") || 0;
+  return rate > 1 ? rate / 100 : rate;
+}
+
+function parseBankXML(xmlDoc) {
+  return parseBankRaw(readBankXML(xmlDoc));
+}
+
+function parseBankJSON(text) {
+  return parseBankRaw(readBankJSON(text));
+}
+
+// Raw records (from either reader) -> users
+function parseBankRaw(rawBank) {
+  return rawBank.users.map((raw, i) => {
+    const parseTx = (t) => {
+      const tx = {
+        date: t.date || "",
+        type: t.type || "",
+        amount: parseFloat(t.amount || "0") || 0
+      };
+      for (const f of TX_OPTIONAL_FIELDS) if (t[f]) tx[f] = t[f];
+      return tx;
+    };
+    const transactions = raw.transactions.map(parseTx);
+
+    // A tiered band's own rate is its first tier's, for one-figure displays
+    const parseBands = (bands) => bands.map((r) => {
+      const band = { startDate: r.startDate || "", endDate: r.endDate || "", rate: normalizeRate(r.rate) };
+      if (r.tiers && r.tiers.length) {
+        band.tiers = r.tiers.map((t) => ({
+          upTo: t.upTo ? parseFloat(t.upTo) || 0 : null,
+          rate: normalizeRate(t.rate)
+        })).sort((a, b) => (a.upTo === null ? 1 : b.upTo === null ? -1 : a.upTo - b.upTo));
+        band.rate = band.tiers[0].rate;
+      }
+      return band;
+    }).sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+
+    // The settings a change can replace (section 12); no policy is null
+    const parseSettings = (s) => ({
+      name: s.name !== null ? s.name : `User ${i + 1}`,
+      compounding: compoundingOf({ compounding: s.compounding }),
+      policy: s.policy ? {
+        enforce: (s.policy.enforce || "").toLowerCase() === "reject" ? "reject" : "flag",
+        minimumBalance: parseFloat(s.policy.minimumBalance || "0") || 0,
+        penaltyMonths: parseFloat(s.policy.penaltyMonths || "0") || 0
+      } : null,
+      matching: s.matching.map((m) => {
+        const rule = {
+          rate: normalizeRate(m.rate),
+          maxPerMonth: m.maxPerMonth ? parseFloat(m.maxPerMonth) || 0 : null,
+          startDate: m.startDate || "",
+          endDate: m.endDate || ""
+        };
+        if (m.category) rule.category = m.category;
+        return rule;
+      }),
+      interestRates: parseBands(s.interestRates)
+    });
+    const settings = parseSettings(raw);
+
+    const jars = raw.jars.map((j, k) => ({
+      name: j.name || `Jar ${k + 1}`,
+      interestRates: parseBands(j.interestRates)
+    }));
+
+    const goals = raw.goals.map((g, k) => ({
+      name: g.name || `Goal ${k + 1}`,
+      target: parseFloat(g.target || "0") || 0,
+      targetDate: g.targetDate || ""
+    }));
+
+    const recurring = raw.recurring.map((r) => {
+      const rule = {
+        amount: parseFloat(r.amount || "0") || 0,
+        type: r.type || "",
+        frequency: (r.frequency || "").toLowerCase(),
+        startDate: r.startDate || "",
+        endDate: r.endDate || ""
+      };
+      if (r.jar) rule.jar = r.jar;
+      return rule;
+    });
+
+    const user = {
+      name: settings.name,
+      compounding: settings.compounding,
+      transactions,
+      recurring,
+      matching: settings.matching,
+      interestRates: settings.interestRates,
+      goals,
+      jars
+    };
+    if (raw.pin) user.pin = raw.pin;
+    if (settings.policy) user.policy = settings.policy;
+    // With a change log, <transactions> and the settings are the starting
+    // point and the current ones are replayed from it (section 12)
+    if (raw.changes) {
+      const none = { name: "", compounding: null, policy: null, matching: [], interestRates: [] };
+      const changes = raw.changes.map((c) => {
+        const change = { at: c.at || "", action: (c.action || "").toLowerCase(), reason: c.reason || "" };
+        if (c.tx) change.tx = parseInt(c.tx) || 0;
+        if (c.undoes) change.undoes = parseInt(c.undoes) || 0;
+        if (c.transaction) change.transaction = parseTx(c.transaction);
+        const key = SETTING_CHANGES[change.action];
+        if (key) {
+          change.value = parseSettings(c.value || none)[key];
+          if (c.previous) change.previous = parseSettings(c.previous)[key];
+        }
+        return change;
+      });
+      user.changeLog = { base: transactions, settings, changes };
+      replayChanges(user);
+    }
+    return user;
+  });
+}
+
+/********************************************************************
+ * 2) Date/math helpers
+ ********************************************************************/
+function monthlyRateFromAPY(apy) {
+  return Math.pow(1 + (apy || 0), 1 / 12) - 1;
+}
+function iso(d) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+function startOfMonth(d) {
+  return new Date(d.getFullYear(), d.getMonth(), 1);
+}
+function endOfMonth(d) {
+  return new Date(d.getFullYear(), d.getMonth() + 1, 0);
+}
+function firstDayNextMonth(d) {
+  return new Date(d.getFullYear(), d.getMonth() + 1, 1);
+}
+function daysInMonth(d) {
+  return endOfMonth(d).getDate();
+}
+function localDate(isoStr) {
+  // "2025-06-01"  ->  2025-06-01T00:00 in local time
+  const [y, m, d] = isoStr.split("-").map(Number);
+  return new Date(y, m - 1, d);
+}
+function isValidISODate(str) {
+  // Strict YYYY-MM-DD that names a real calendar day (rejects 2025-02-30)
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(str || "")) return false;
+  return iso(localDate(str)) === str;
+}
+function isValidAmount(str) {
+  // Positive dollar amount with at most two decimals: "5", "12.5", "40.00"
+  return /^\d+(\.\d{1,2})?$/.test(String(str).trim()) && parseFloat(str) > 0;
+}
+function addMonths(d, n) {
+  const day = d.getDate();
+  const out = new Date(d.getFullYear(), d.getMonth() + n, 1);
+  out.setDate(Math.min(day, daysInMonth(out)));
+  return out;
+}
+
+function addDays(d, n) {
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate() + n);
+}
+
+/* Money. The engine keeps every balance in integer cents; amounts in
+ * and out of the public functions stay in dollars, always a whole
+ * number of cents. */
+function toCents(dollars) {
+  return Math.round((+dollars || 0) * 100);
+}
+function fromCents(cents) {
+  return cents / 100;
+}
+// Fractional cents to whole cents, halves to the even cent (banker's rounding)
+function roundCents(cents) {
+  const floor = Math.floor(cents);
+  if (Math.abs(cents - floor - 0.5) < 1e-9) return floor % 2 === 0 ? floor : floor + 1;
+  return Math.round(cents);
+}
+
+// Occurrences after `from` up to and including `until`, one period apart
+function recurringDates(from, until, frequency) {
+  const dates = [];
+  for (let k = 1; ; k++) {
+    const d = frequency === "monthly" ? addMonths(from, k)
+      : addDays(from, k * (frequency === "biweekly" ? 14 : 7));
+    if (d > until) return dates;
+    dates.push(d);
+  }
+}
+
+/********************************************************************
+ * 3) APY lookup — per user
+ ********************************************************************/
+function rateBandFor(user, d) {
+  if (!user?.interestRates?.length) return null;
+  for (const br of user.interestRates) {
+    const s = localDate(br.startDate);
+    const e = localDate(br.endDate);
+    if (s <= d && d <= e) return br;
+  }
+  return null;
+}
+
+// For a tiered band, the first tier's rate
+function apyForDateUser(user, d) {
+  const band = rateBandFor(user, d);
+  return band ? band.rate || 0 : 0;
+}
+
+// "10.00%", or tier by tier: "30.00% up to $100.00, 10.00% above $100.00"
+function describeRate(band) {
+  const pct = (rate) => `${((rate || 0) * 100).toFixed(2)}%`;
+  if (!band) return pct(0);
+  if (!band.tiers || !band.tiers.length) return pct(band.rate);
+  return band.tiers.map((t, k) => {
+    if (t.upTo !== null) return `${pct(t.rate)} up to $${t.upTo.toFixed(2)}`;
+    return k ? `${pct(t.rate)} above $${band.tiers[k - 1].upTo.toFixed(2)}` : pct(t.rate);
+  }).join(", ");
+}
+
+/********************************************************************
+ * 4) Core engine: compute balances & interest schedule for a user
+ ********************************************************************/
+
+// Sign applied to each known <type>; anything else counts as 0. A
+// "bonus" is a one-off credit from a parent that is never matched.
+const TX_SIGNS = { deposit: +1, credit: +1, bonus: +1, withdrawal: -1, debit: -1 };
+
+const RECURRING_FREQUENCIES = { weekly: "weekly", biweekly: "every 2 weeks", monthly: "monthly" };
+
+/* <recurring> rules (e.g. allowance) expanded into dated transactions
+ * from startDate through endDate or `until`, whichever comes first.
+ * Each row carries `rule`, a label History shows next to the type. */
+function expandRecurring(user, until = new Date()) {
+  const rows = [];
+  (user.recurring || []).forEach((r, idx) => {
+    if (!isValidISODate(r.startDate) || !(r.frequency in RECURRING_FREQUENCIES)) return;
+    const start = localDate(r.startDate);
+    const end = r.endDate && isValidISODate(r.endDate) && localDate(r.endDate) < until
+      ? localDate(r.endDate) : until;
+    if (start > end) return;
+
+    const rule = `recurring #${idx + 1}, ${RECURRING_FREQUENCIES[r.frequency]}`;
+    for (const d of [start, ...recurringDates(start, end, r.frequency)]) {
+      rows.push({ date: iso(d), type: r.type, amount: r.amount, rule });
+    }
+  });
+  return rows;
+}
+
+/* Parent matching (<match> rules, per user): each deposit or credit
+ * dated within the rule's optional start/end dates (and in its
+ * <category>, if one is given) earns `rate` of its amount as a "Match"
+ * row on the same day, until the rule has paid maxPerMonth in that
+ * calendar month. Bonuses, transfers and interest are never matched.
+ * `rows` are signed; the matches come back signed too. */
+const MATCHED_TYPES = ["deposit", "credit"];
+
+function matchRows(rules, rows) {
+  const eligible = rows
+    .filter((t) => MATCHED_TYPES.includes((t.type || "").toLowerCase()) && t.amount > 0 && isValidISODate(t.date))
+    .map((t, i) => ({ t, i }))
+    .sort((a, b) => (a.t.date < b.t.date ? -1 : a.t.date > b.t.date ? 1 : a.i - b.i))
+    .map(({ t }) => t);
+
+  const out = [];
+  (rules || []).forEach((m, idx) => {
+    const cap = m.maxPerMonth === null || m.maxPerMonth === undefined ? Infinity : toCents(m.maxPerMonth);
+    const paid = {};   // cents per "YYYY-MM"
+    const rule = `match #${idx + 1}, ${+(m.rate * 100).toFixed(2)}%`;
+    for (const t of eligible) {
+      if ((m.startDate && t.date < m.startDate) || (m.endDate && t.date > m.endDate)) continue;
+      if (m.category && t.category !== m.category) continue;
+      const month = t.date.slice(0, 7);
+      const cents = Math.min(roundCents(toCents(t.amount) * m.rate), cap - (paid[month] || 0));
+      if (cents <= 0) continue;
+      paid[month] = (paid[month] || 0) + cents;
+      const row = { date: t.date, type: "Match", amount: fromCents(cents), rule };
+      if (t.jar) row.jar = t.jar;
+      out.push(row);
+    }
+  });
+  return out;
+}
+
+// Only ever produced by jarView() for the two sides of a "transfer"
+const JAR_TRANSFER_SIGNS = { "transfer in": +1, "transfer out": -1 };
+
+function signRows(list) {
+  return list.map((t) => {
+    const ttype = (t.type || "").toLowerCase();
+    const sign = TX_SIGNS[ttype] || JAR_TRANSFER_SIGNS[ttype] || 0;
+    const amount = fromCents(toCents(parseFloat(t.amount)));
+    const row = { ...t, amount: sign * amount };
+    if (ttype === "transfer") row.moved = amount;
+    return row;
+  });
+}
+
+/* Recorded transactions plus recurring rows up to `until` and any
+ * `extra` (what-if rows from the projection), signed and rounded to the
+ * cent, followed by the parent matches they earn. Other fields (rule,
+ * jar, from, to, …) ride along. A "transfer" between jars nets to 0 for
+ * the user; `moved` keeps the amount for display.
+ *
+ * A jar view is matched against the whole account, so a monthly cap
+ * spans the jars; it keeps the matches for its own deposits.
+ *
+ * With `from` (the 1st of a month, so monthly caps come out the same)
+ * only rows dated from then on are returned. */
+function signedTransactions(user, until = new Date(), extra = [], from = null) {
+  const since = (list) => (from ? list.filter((t) => localDate(t.date) >= from) : list);
+  if (!user.account) {
+    const rows = signRows(since([...user.transactions, ...expandRecurring(user, until), ...extra]));
+    return [...rows, ...matchRows(user.matching, rows)];
+  }
+  const account = user.account;
+  const inThisJar = (t) => sameJar(t.jar || account.jars[0].name, user.jarName);
+  const rows = signRows(since([...user.transactions, ...expandRecurring(user, until), ...extra.filter(inThisJar)]));
+  const all = signRows(since([...account.transactions, ...expandRecurring(account, until), ...extra]));
+  return [...rows, ...matchRows(account.matching, all).filter(inThisJar)];
+}
+
+/* Jars ("Spend", "Save", "Give", …) split one user's money. A user with
+ * <jars> is computed as one plain user per jar, then summed:
+ *   - deposits/withdrawals/recurring rules go to their <jar>, or the
+ *     first jar when none is named
+ *   - a "transfer" becomes "transfer out" of <from> and "transfer in"
+ *     to <to>, so it is never a deposit or withdrawal overall
+ *   - each jar earns on its own <interestRates>, or the user's if empty
+ *   - parent matches land in the jar of the deposit they match
+ *   - a withdrawal <policy> applies to each jar's own balance */
+function hasJars(user) {
+  return !!(user && user.jars && user.jars.length);
+}
+
+function sameJar(a, b) {
+  return (a || "").trim().toLowerCase() === (b || "").trim().toLowerCase();
+}
+
+function jarView(user, jar) {
+  const defaultJar = user.jars[0].name;
+  const inJar = (name) => sameJar(name || defaultJar, jar.name);
+
+  const transactions = [];
+  for (const t of user.transactions) {
+    if ((t.type || "").toLowerCase() === "transfer") {
+      if (sameJar(t.from, jar.name)) transactions.push({ ...t, type: "transfer out" });
+      if (sameJar(t.to, jar.name)) transactions.push({ ...t, type: "transfer in" });
+    } else if (inJar(t.jar)) {
+      transactions.push(t);
+    }
+  }
+
+  return {
+    name: user.name,
+    jarName: jar.name,
+    account: user,
+    compounding: user.compounding,
+    policy: user.policy,
+    transactions,
+    recurring: (user.recurring || []).filter((r) => inJar(r.jar)),
+    interestRates: jar.interestRates && jar.interestRates.length ? jar.interestRates : user.interestRates
+  };
+}
+
+function jarViews(user) {
+  return user.jars.map((jar) => jarView(user, jar));
+}
+
+function combineJarSchedules(user, today) {
+  const jars = jarViews(user).map((view) => ({ name: view.jarName, ...computeInterestSchedule(view, today) }));
+  const total = (field) => fromCents(jars.reduce((s, j) => s + toCents(j[field]), 0));
+
+  return {
+    baseBalance: total("baseBalance"),
+    totalInterestCredited: total("totalInterestCredited"),
+    accruedCurrentMonth: total("accruedCurrentMonth"),
+    currentBalanceWithInterest: total("currentBalanceWithInterest"),
+    interestTx: jars
+      .flatMap((j) => j.interestTx.map((it) => ({ ...it, jar: j.name })))
+      .sort((a, b) => localDate(a.date) - localDate(b.date)),
+    startBalThisMonth: total("startBalThisMonth"),
+    nextMonthEstInterest: total("nextMonthEstInterest"),
+    interestCarryCents: 0,
+    penaltyTx: jars.flatMap((j) => j.penaltyTx.map((p) => ({ ...p, jar: j.name }))),
+    policyEvents: jars.flatMap((j) => j.policyEvents.map((e) => ({ ...e, jar: j.name }))),
+    jars
+  };
+}
+
+function emptySchedule(baseBalance = 0) {
+  return {
+    baseBalance,
+    totalInterestCredited: 0,
+    accruedCurrentMonth: 0,
+    currentBalanceWithInterest: baseBalance,
+    interestTx: [],
+    startBalThisMonth: 0,
+    nextMonthEstInterest: 0,
+    interestCarryCents: 0,
+    penaltyTx: [],
+    policyEvents: []
+  };
+}
+
+/* Compounding policies (per user, <compounding> in the XML):
+ *   monthly        – credit at month end on the opening balance (default)
+ *   daily-average  – credit at month end on the average daily balance,
+ *                    so mid-month deposits earn from the day they land
+ *   daily          – accrue daily at (1+APY)^(1/daysInYear)-1 on the
+ *                    balance plus interest accrued so far, credited
+ *                    at month end
+ *   simple         – credit at month end APY/12 on the opening principal
+ *                    (deposits minus withdrawals); interest never earns
+ *                    interest
+ * An overdrawn (negative) balance earns nothing and is never charged.
+ */
+const COMPOUNDING_MODES = {
+  monthly: "Monthly on opening balance",
+  "daily-average": "Monthly on average daily balance",
+  daily: "Daily compounding",
+  simple: "Simple interest"
+};
+
+function compoundingOf(user) {
+  const mode = (user?.compounding || "monthly").toLowerCase();
+  return mode in COMPOUNDING_MODES ? mode : "monthly";
+}
+
+function dailyRateFromAPY(apy, d) {
+  const daysInYear = (new Date(d.getFullYear(), 1, 29).getDate() === 29) ? 366 : 365;
+  return Math.pow(1 + (apy || 0), 1 / daysInYear) - 1;
+}
+
+/* Interest on `balance` (cents) for one period under a rate band;
+ * periodRate turns an APY into the period's rate. A tiered band pays
+ * each slice of the balance its own tier's rate (nothing above the last
+ * <upTo>). */
+function bandInterest(band, balance, periodRate) {
+  if (!band || balance <= 0) return 0;
+  const tiers = band.tiers || [];
+  if (!tiers.length) return balance * periodRate(band.rate || 0);
+
+  let total = 0, floor = 0;
+  for (const t of tiers) {
+    const ceiling = t.upTo === null ? Infinity : toCents(t.upTo);
+    if (balance > floor) total += (Math.min(balance, ceiling) - floor) * periodRate(t.rate);
+    floor = ceiling;
+  }
+  return total;
+}
+
+/* Interest earned over the first `days` days of the month starting at
+ * mStart. openingBal/openingPrincipal are as of the 1st, in cents;
+ * monthTx are the month's signed transactions in cents (only those dated
+ * within `days` count). The result is exact, in fractional cents. */
+function interestForMonth(user, mode, mStart, days, openingBal, openingPrincipal, monthTx) {
+  const dim = daysInMonth(mStart);
+
+  if (mode === "monthly" || mode === "simple") {
+    const band = rateBandFor(user, mStart);
+    const full = mode === "simple"
+      ? bandInterest(band, openingPrincipal, (apy) => apy / 12)
+      : bandInterest(band, openingBal, monthlyRateFromAPY);
+    return full * (days / dim);
+  }
+
+  // daily-average and daily walk the month one day at a time
+  const byDay = new Array(dim + 1).fill(0);
+  for (const t of monthTx) byDay[localDate(t.date).getDate()] += t.amount;
+
+  let bal = openingBal;
+  let accrued = 0;
+  for (let day = 1; day <= days; day++) {
+    bal += byDay[day];
+    const d = new Date(mStart.getFullYear(), mStart.getMonth(), day);
+    const band = rateBandFor(user, d);
+    if (mode === "daily") accrued += bandInterest(band, bal + accrued, (apy) => dailyRateFromAPY(apy, d));
+    else accrued += bandInterest(band, bal, monthlyRateFromAPY) / dim;
+  }
+  return accrued;
+}
+
+/* Interest rounding policy. Balances are whole cents. Each month's
+ * interest is computed exactly (fractional cents) on those balances,
+ * the fraction carried from earlier months is added, and the sum is
+ * credited at month end rounded half-to-even to a whole cent. What the
+ * rounding left over (at most half a cent either way) is carried into
+ * the next month's credit, so credited interest never drifts more than
+ * half a cent from the exact total, and History's rows always add up to
+ * the balance shown. */
+function creditInterest(exactCents, carry) {
+  const total = exactCents + carry;
+  const credited = roundCents(total);
+  return { credited, carry: total - credited };
+}
+
+/* Withdrawal policy (<policy>, per user):
+ *   enforce         "reject" drops a withdrawal that breaks a rule (it
+ *                   stays in History at $0.00); "flag" (default) keeps it
+ *   minimumBalance  a withdrawal may not take the balance below this;
+ *                   without it, below $0.00 (an overdraft)
+ *   penaltyMonths   a withdrawal that dips into a deposit still locked
+ *                   (<lockedUntil> on the deposit, CD-style) breaks a
+ *                   rule, unless this is set: then it goes through and
+ *                   costs this many months' interest on the amount
+ *                   taken early, as a "Penalty" row on the same day
+ * The balance checked is the credited one (this month's accrued
+ * interest is not yet available). Locked money is used up earliest
+ * maturity first. A user without a <policy> is never checked.
+ *
+ * Each problem becomes a policy event { key, date, type, amount,
+ * action: "rejected"|"flagged", reasons }; `key` (policyKey) finds the
+ * row again among signedTransactions. */
+function policyKey(row, defaultJar = null) {
+  const ttype = (row.type || "").toLowerCase();
+  const fromJar = ttype === "transfer" || ttype === "transfer out";
+  const jar = (fromJar ? row.from : row.jar || defaultJar) || "";
+  const cents = ttype === "transfer" ? -toCents(row.moved) : toCents(row.amount);
+  return `${row.date}|${jar.trim().toLowerCase()}|${cents}`;
+}
+
+function policyChecker(user, policy, defaultJar) {
+  const floor = toCents(policy.minimumBalance);
+  const locks = [];    // { until, cents } still held from locked deposits
+  const events = [];
+  const penaltyTx = [];
+  const seen = {};     // rows per key so far, to tell identical rows apart
+  const money = (cents) => `$${fromCents(cents).toFixed(2)}`;
+
+  // Checks `items` ({ date, amount (cents), row }, date order) starting
+  // from `balance`; rejected amounts become 0. Returns penalty items.
+  function walk(items, balance) {
+    const added = [];
+    for (const t of items) {
+      if (t.checked) { balance += t.amount; continue; }
+      t.checked = true;
+      const key = policyKey(t.row, defaultJar);
+      seen[key] = (seen[key] || 0) + 1;
+
+      if (t.amount >= 0) {
+        if (t.amount > 0 && t.row.lockedUntil && t.row.lockedUntil > t.date) locks.push({ until: t.row.lockedUntil, cents: t.amount });
+        balance += t.amount;
+        continue;
+      }
+
+      const want = -t.amount;
+      const held = locks.filter((l) => l.until > t.date && l.cents > 0).sort((a, b) => (a.until < b.until ? -1 : 1));
+      const locked = held.reduce((sum, l) => sum + l.cents, 0);
+      const usable = Math.max(0, balance - floor);
+      const over = Math.max(0, want - usable);
+      const early = Math.max(0, Math.min(want, usable) - Math.max(0, usable - locked));
+
+      const reasons = [];
+      if (over > 0) {
+        reasons.push(balance - want < 0
+          ? `overdraws the balance to -${money(want - balance)}`
+          : `leaves ${money(balance - want)}, under the ${money(floor)} minimum`);
+      }
+      if (early > 0 && !policy.penaltyMonths) reasons.push(`takes ${money(early)} locked until ${held[0].until}`);
+
+      const rejected = reasons.length > 0 && policy.enforce === "reject";
+      if (reasons.length) {
+        events.push({
+          key: `${key}#${seen[key]}`, date: t.date, type: t.row.type, amount: fromCents(want),
+          action: rejected ? "rejected" : "flagged", reasons
+        });
+      }
+      if (rejected) {
+        t.amount = 0;
+        continue;
+      }
+      balance -= want;
+
+      let owed = early;
+      for (const l of held) {
+        const used = Math.min(l.cents, owed);
+        l.cents -= used;
+        owed -= used;
+      }
+      if (early > 0 && policy.penaltyMonths) {
+        const band = rateBandFor(user, localDate(t.date));
+        const penalty = roundCents(bandInterest(band, early, monthlyRateFromAPY) * policy.penaltyMonths);
+        if (penalty > 0) {
+          const row = { date: t.date, type: "Penalty", amount: -fromCents(penalty), rule: `early withdrawal of ${money(early)}` };
+          penaltyTx.push(row);
+          added.push({ date: t.date, amount: -penalty, row, checked: true });
+          balance -= penalty;
+        }
+      }
+    }
+    return added;
+  }
+  return { walk, events, penaltyTx };
+}
+
+function computeInterestSchedule(user, today = new Date()) {
+  if (!user) return emptySchedule();
+  if (hasJars(user)) return combineJarSchedules(user, today);
+
+  // Signed, and in cents from here on
+  const txSorted = signedTransactions(user, today)
+    .map((t) => ({ date: t.date, amount: toCents(t.amount), row: t }))
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  if (!txSorted.length) return emptySchedule();
+
+  const defaultJar = user.account ? user.account.jars[0].name : null;
+  const checker = user.policy ? policyChecker(user, user.policy, defaultJar) : null;
+  const check = (items, balance) => {
+    if (checker) txSorted.push(...checker.walk(items, balance));
+  };
+  const policyResult = () => ({
+    penaltyTx: checker ? checker.penaltyTx : [],
+    policyEvents: checker ? checker.events : []
+  });
+
+  const firstDeposit = txSorted.find((t) => t.amount > 0);
+  const clockStart = firstDeposit ? startOfMonth(new Date(firstDeposit.date)) : null;
+  // Rows before interest starts (withdrawals only) are checked from $0.00
+  check(txSorted.filter((t) => !clockStart || localDate(t.date) < clockStart), 0);
+
+  if (!firstDeposit) {
+    return { ...emptySchedule(fromCents(txSorted.reduce((s, t) => s + t.amount, 0))), ...policyResult() };
+  }
+
+  const mode = compoundingOf(user);
+  const currentMonthStart = startOfMonth(today);
+  const lastFullMonthEnd = endOfMonth(new Date(today.getFullYear(), today.getMonth() - 1, 1));
+
+  function txBetween(d1, d2) {
+    const a = new Date(d1), b = new Date(d2);
+    return txSorted.filter((t) => {
+      const td = localDate(t.date);
+      return a <= td && td <= b;
+    });
+  }
+  function sumTxBefore(d) {
+    const b = new Date(d);
+    let s = 0;
+    for (const t of txSorted) {
+      const td = localDate(t.date);
+      if (td < b) s += t.amount;
+    }
+    return s;
+  }
+  const sum = (txs) => txs.reduce((s, t) => s + t.amount, 0);
+
+  let runningStartBal = sumTxBefore(clockStart);
+  let runningPrincipal = runningStartBal;
+  let totalInterestCredited = 0;
+  let carry = 0;
+  const interestTx = [];
+
+  // Completed months
+  let mStart = new Date(clockStart);
+  while (mStart <= lastFullMonthEnd) {
+    const mEnd = endOfMonth(mStart);
+    check(txBetween(mStart, mEnd), runningStartBal);
+    const monthTx = txBetween(mStart, mEnd);
+    const credit = creditInterest(interestForMonth(
+      user, mode, mStart, daysInMonth(mStart), runningStartBal, runningPrincipal, monthTx
+    ), carry);
+    const interest = credit.credited;
+    carry = credit.carry;
+
+    if (interest !== 0) {
+      interestTx.push({
+        date: iso(mEnd),
+        type: "Interest",
+        amount: fromCents(interest)
+      });
+    }
+    totalInterestCredited += interest;
+
+    const monthTxSum = sum(monthTx);
+    runningStartBal = runningStartBal + interest + monthTxSum;
+    runningPrincipal += monthTxSum;
+
+    mStart = firstDayNextMonth(mStart);
+  }
+
+  const startBalThisMonth = runningStartBal;
+  // This month's rows and any dated later (from the first deposit, if that is later still)
+  const restStart = clockStart > currentMonthStart ? clockStart : currentMonthStart;
+  check(txSorted.filter((t) => localDate(t.date) >= restStart), startBalThisMonth);
+  const baseBalance = sum(txSorted);
+
+  // Partial accrual for current month
+  const dim = daysInMonth(currentMonthStart);
+  const elapsedDays = Math.min(dim, today.getDate());
+  const monthTxSoFar = txBetween(currentMonthStart, today);
+  const monthTxToDate = sum(monthTxSoFar);
+
+  // Accrued so far, rounded as it would be if credited today
+  const accruedCurrentMonth = creditInterest(interestForMonth(
+    user, mode, currentMonthStart, elapsedDays, startBalThisMonth, runningPrincipal, monthTxSoFar
+  ), carry).credited;
+  const fullMonthCurrent = creditInterest(interestForMonth(
+    user, mode, currentMonthStart, dim, startBalThisMonth, runningPrincipal, monthTxSoFar
+  ), carry);
+
+  const currentBalanceWithInterest =
+    startBalThisMonth + monthTxToDate + accruedCurrentMonth;
+
+  // Next month estimate (assumes no more tx this month)
+  const predictedStartNextMonth =
+    startBalThisMonth + fullMonthCurrent.credited + monthTxToDate;
+
+  const nextMonthStart = firstDayNextMonth(currentMonthStart);
+  const nextMonthEstInterest = creditInterest(interestForMonth(
+    user, mode, nextMonthStart, daysInMonth(nextMonthStart),
+    predictedStartNextMonth, runningPrincipal + monthTxToDate, []
+  ), fullMonthCurrent.carry).credited;
+
+  return {
+    baseBalance: fromCents(baseBalance),
+    totalInterestCredited: fromCents(totalInterestCredited),
+    accruedCurrentMonth: fromCents(accruedCurrentMonth),
+    currentBalanceWithInterest: fromCents(currentBalanceWithInterest),
+    interestTx,
+    startBalThisMonth: fromCents(startBalThisMonth),
+    nextMonthEstInterest: fromCents(nextMonthEstInterest),
+    interestCarryCents: carry,   // fraction of a cent owed to (or by) next month's credit
+    ...policyResult()
+  };
+}
+
+/********************************************************************
+ * 5) Augmented history: user transactions + credited interest rows,
+ *    early-withdrawal penalties and withdrawal-policy notes
+ ********************************************************************/
+function buildAugmentedTransactions(user, today = new Date(), includeFuture = false, jarName = null) {
+  if (!user) return [];
+  if (hasJars(user) && jarName) {
+    const jar = user.jars.find((j) => sameJar(j.name, jarName));
+    return jar ? buildAugmentedTransactions(jarView(user, jar), today, includeFuture) : [];
+  }
+  const { interestTx, penaltyTx, policyEvents } = computeInterestSchedule(user, today);
+
+  // A row that broke the withdrawal policy carries `policy` (the reasons);
+  // a rejected one also `rejected`, with its amount kept as `requested`
+  const defaultJar = hasJars(user) ? user.jars[0].name : null;
+  const keyJar = defaultJar || (user.account ? user.account.jars[0].name : null);
+  const events = new Map(policyEvents.map((e) => [e.key, e]));
+  const seen = {};
+  const userTx = signedTransactions(user, today).map((t) => {
+    const row = defaultJar && t.type.toLowerCase() !== "transfer" && !t.jar ? { ...t, jar: defaultJar } : { ...t };
+    if (!events.size) return row;
+    const key = policyKey(t, keyJar);
+    seen[key] = (seen[key] || 0) + 1;
+    const e = events.get(`${key}#${seen[key]}`);
+    if (!e) return row;
+    row.policy = e.reasons.join("; ");
+    if (e.action === "rejected") {
+      row.rejected = true;
+      row.requested = t.amount || -e.amount;
+      row.amount = 0;
+    }
+    return row;
+  });
+
+  const finalizedInterest = interestTx.filter((it) => {
+    if (includeFuture) return true;
+    return localDate(it.date) <= today;
+  }).map((it) => {
+    const row = { date: it.date, type: "Interest", amount: it.amount };
+    if (it.jar) row.jar = it.jar;
+    return row;
+  });
+  const penalties = penaltyTx.filter((p) => includeFuture || localDate(p.date) <= today);
+
+  // Voided transactions stay on show at $0, their amount kept as `requested`
+  const owner = user.account || user;
+  let voided = owner.changeLog ? rebuildTransactions(owner.changeLog).voided : [];
+  if (user.account) voided = jarView({ ...owner, transactions: voided }, { name: user.jarName }).transactions;
+  const voidedRows = signRows(voided)
+    .filter((t) => includeFuture || localDate(t.date) <= today)
+    .map((t) => {
+      const row = { ...t, requested: t.amount, amount: 0 };
+      if (defaultJar && t.type.toLowerCase() !== "transfer" && !t.jar) row.jar = defaultJar;
+      return row;
+    });
+
+  const all = [...userTx, ...finalizedInterest, ...penalties, ...voidedRows];
+  all.sort((a, b) => localDate(a.date) - localDate(b.date));
+  return all;
+}
+
+/**
+ * Running totals over History rows for the chart: interest is every
+ * "Interest" row, principal every other row (matches and bonuses
+ * included), balance both.
+ * Rows before `from` still count toward the totals; when any exist the
+ * result opens with a { row: null } point on `from` carrying them.
+ * `from`/`to` are inclusive ISO dates and either may be null.
+ */
+function historySeries(rows, from = null, to = null) {
+  let principal = 0, interest = 0, opening = null;   // cents
+  const point = (date, row) => ({
+    date,
+    row,
+    principal: fromCents(principal),
+    interest: fromCents(interest),
+    balance: fromCents(principal + interest)
+  });
+  const points = [];
+  rows.forEach((row) => {
+    if (to && row.date > to) return;
+    if (row.type === "Interest") interest += toCents(row.amount);
+    else principal += toCents(row.amount);
+    if (from && row.date < from) {
+      opening = point(from, null);
+      return;
+    }
+    points.push(point(row.date, row));
+  });
+  if (opening) points.unshift(opening);
+  return points;
+}
+
+/**
+ * History rows narrowed by { type, category, from, to }; each is
+ * optional and from/to are inclusive ISO dates. Types compare without
+ * case; category "" matches rows without one.
+ */
+function filterHistory(rows, { type = null, category = null, from = null, to = null } = {}) {
+  return rows.filter((r) =>
+    (!type || (r.type || "").toLowerCase() === type.toLowerCase()) &&
+    (category === null || (r.category || "") === category) &&
+    (!from || r.date >= from) &&
+    (!to || r.date <= to));
+}
+
+// Stable sort on one History column; ties keep date order
+function sortHistory(rows, key = "date", dir = "asc") {
+  const sign = dir === "desc" ? -1 : 1;
+  const value = (r) => (key === "amount" ? r.amount : String(r[key] || "").toLowerCase());
+  return rows
+    .map((r, i) => ({ r, i }))
+    .sort((a, b) => {
+      const va = value(a.r), vb = value(b.r);
+      if (va < vb) return -sign;
+      if (va > vb) return sign;
+      return a.i - b.i;
+    })
+    .map(({ r }) => r);
+}
+
+/**
+ * Totals per category: [{ category, count, inflow, outflow, net }] in
+ * name order. Interest and parent-match rows count as "Interest" and
+ * "Match"; rows without a category as "" (uncategorized), listed last.
+ */
+function categorySummary(rows) {
+  const byCategory = new Map();   // totals in cents
+  rows.forEach((r) => {
+    const category = r.type === "Interest" || r.type === "Match" ? r.type : (r.category || "");
+    const s = byCategory.get(category) || { category, count: 0, inflow: 0, outflow: 0 };
+    const cents = toCents(r.amount);
+    s.count++;
+    if (cents >= 0) s.inflow += cents;
+    else s.outflow -= cents;
+    byCategory.set(category, s);
+  });
+  return [...byCategory.values()]
+    .sort((a, b) => {
+      if (!a.category || !b.category) return a.category ? -1 : b.category ? 1 : 0;
+      return a.category.localeCompare(b.category);
+    })
+    .map((s) => ({
+      category: s.category,
+      count: s.count,
+      inflow: fromCents(s.inflow),
+      outflow: fromCents(s.outflow),
+      net: fromCents(s.inflow - s.outflow)
+    }));
+}
+
+/********************************************************************
+ * 6) Serialize users back to dbstatefile.xml (or .json)
+ *
+ * Emits exactly the schema parseBankXML reads, laid out like the
+ * hand-edited file (two-space indent, amounts with two decimals).
+ * serializeBankJSON writes the same fields, under the same names and
+ * conditions, for readBankJSON; XML <-> JSON conversion is reading one
+ * and writing the other.
+ ********************************************************************/
+function xmlEscape(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function formatRate(rate) {
+  // 0.3 -> "0.30", 0.125 -> "0.125"
+  const s = String(+(+rate || 0).toFixed(6));
+  const decimals = (s.split(".")[1] || "").length;
+  return decimals >= 2 ? s : (+s).toFixed(2);
+}
+
+// settings: <bank>-level values, currently { parentPin }
+function serializeBankXML(users, settings = {}) {
+  const el = (indent, tag, value) => `${" ".repeat(indent)}<${tag}>${xmlEscape(value)}</${tag}>`;
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>', "<bank>"];
+  if (settings.parentPin) lines.push(el(2, "parentPin", settings.parentPin));
+  lines.push("  <users>");
+
+  const policy = (indent, p) => {
+    const pad = " ".repeat(indent);
+    lines.push(`${pad}<policy>`);
+    lines.push(el(indent + 2, "enforce", p.enforce === "reject" ? "reject" : "flag"));
+    if (p.minimumBalance) lines.push(el(indent + 2, "minimumBalance", (+p.minimumBalance).toFixed(2)));
+    if (p.penaltyMonths) lines.push(el(indent + 2, "penaltyMonths", String(+p.penaltyMonths)));
+    lines.push(`${pad}</policy>`);
+  };
+  const match = (indent, m) => {
+    const pad = " ".repeat(indent);
+    lines.push(`${pad}<match>`);
+    lines.push(el(indent + 2, "rate", formatRate(m.rate)));
+    if (m.maxPerMonth !== null && m.maxPerMonth !== undefined) lines.push(el(indent + 2, "maxPerMonth", (+m.maxPerMonth || 0).toFixed(2)));
+    if (m.startDate) lines.push(el(indent + 2, "startDate", m.startDate));
+    if (m.endDate) lines.push(el(indent + 2, "endDate", m.endDate));
+    if (m.category) lines.push(el(indent + 2, "category", m.category));
+    lines.push(`${pad}</match>`);
+  };
+  const bands = (indent, list) => {
+    const pad = " ".repeat(indent);
+    lines.push(`${pad}<interestRates>`);
+    for (const r of list || []) {
+      lines.push(`${pad}  <interestRate>`);
+      lines.push(el(indent + 4, "startDate", r.startDate));
+      lines.push(el(indent + 4, "endDate", r.endDate));
+      if (r.tiers && r.tiers.length) {
+        lines.push(`${pad}    <tiers>`);
+        for (const t of r.tiers) {
+          lines.push(`${pad}      <tier>`);
+          if (t.upTo !== null) lines.push(el(indent + 8, "upTo", (+t.upTo || 0).toFixed(2)));
+          lines.push(el(indent + 8, "rate", formatRate(t.rate)));
+          lines.push(`${pad}      </tier>`);
+        }
+        lines.push(`${pad}    </tiers>`);
+      } else {
+        lines.push(el(indent + 4, "rate", formatRate(r.rate)));
+      }
+      lines.push(`${pad}  </interestRate>`);
+    }
+    lines.push(`${pad}</interestRates>`);
+  };
+  // One setting of a change's <value> or <previous>; no <policy> is none
+  const setting = (indent, tag, key, value) => {
+    lines.push(`${" ".repeat(indent)}<${tag}>`);
+    if (key === "name" || key === "compounding") lines.push(el(indent + 2, key, value));
+    else if (key === "policy" && value) policy(indent + 2, value);
+    else if (key === "matching") for (const m of value) match(indent + 2, m);
+    else if (key === "interestRates") bands(indent + 2, value);
+    lines.push(`${" ".repeat(indent)}</${tag}>`);
+  };
+
+  for (const u of users || []) {
+    // A logged user's settings stay as first recorded, like <transactions>
+    const settings = u.changeLog ? u.changeLog.settings : u;
+    lines.push("    <user>");
+    lines.push(el(6, "name", settings.name));
+    if (u.pin) lines.push(el(6, "pin", u.pin));
+    if (settings.compounding && settings.compounding !== "monthly") lines.push(el(6, "compounding", settings.compounding));
+    if (settings.policy) policy(6, settings.policy);
+
+    const transaction = (indent, t) => {
+      const pad = " ".repeat(indent);
+      lines.push(`${pad}<transaction>`);
+      lines.push(el(indent + 2, "date", t.date));
+      lines.push(el(indent + 2, "type", t.type));
+      lines.push(el(indent + 2, "amount", (+t.amount || 0).toFixed(2)));
+      for (const f of TX_OPTIONAL_FIELDS) if (t[f]) lines.push(el(indent + 2, f, t[f]));
+      lines.push(`${pad}</transaction>`);
+    };
+    // A logged user's <transactions> stay as first recorded; <changes> holds the rest
+    lines.push("      <transactions>");
+    for (const t of (u.changeLog ? u.changeLog.base : u.transactions) || []) transaction(8, t);
+    lines.push("      </transactions>");
+
+    if (u.changeLog) {
+      lines.push("      <changes>");
+      for (const c of u.changeLog.changes) {
+        const key = SETTING_CHANGES[c.action];
+        lines.push("        <change>");
+        lines.push(el(10, "at", c.at));
+        lines.push(el(10, "action", c.action));
+        if (c.tx) lines.push(el(10, "tx", String(c.tx)));
+        if (c.undoes) lines.push(el(10, "undoes", String(c.undoes)));
+        if (c.reason) lines.push(el(10, "reason", c.reason));
+        if (c.transaction) transaction(10, c.transaction);
+        if (key) setting(10, "value", key, c.value);
+        if (key && c.previous !== undefined) setting(10, "previous", key, c.previous);
+        lines.push("        </change>");
+      }
+      lines.push("      </changes>");
+    }
+
+    for (const r of u.recurring || []) {
+      lines.push("      <recurring>");
+      lines.push(el(8, "amount", (+r.amount || 0).toFixed(2)));
+      lines.push(el(8, "type", r.type));
+      lines.push(el(8, "frequency", r.frequency));
+      lines.push(el(8, "startDate", r.startDate));
+      if (r.endDate) lines.push(el(8, "endDate", r.endDate));
+      if (r.jar) lines.push(el(8, "jar", r.jar));
+      lines.push("      </recurring>");
+    }
+
+    for (const m of settings.matching || []) match(6, m);
+    bands(6, settings.interestRates);
+
+    if (u.jars && u.jars.length) {
+      lines.push("      <jars>");
+      for (const j of u.jars) {
+        lines.push("        <jar>");
+        lines.push(el(10, "name", j.name));
+        if (j.interestRates && j.interestRates.length) bands(10, j.interestRates);
+        lines.push("        </jar>");
+      }
+      lines.push("      </jars>");
+    }
+
+    if (u.goals && u.goals.length) {
+      lines.push("      <goals>");
+      for (const g of u.goals) {
+        lines.push("        <goal>");
+        lines.push(el(10, "name", g.name));
+        lines.push(el(10, "target", (+g.target || 0).toFixed(2)));
+        if (g.targetDate) lines.push(el(10, "targetDate", g.targetDate));
+        lines.push("        </goal>");
+      }
+      lines.push("      </goals>");
+    }
+
+    lines.push("    </user>");
+  }
+
+  lines.push("  </users>", "</bank>");
+  return lines.join("\n") + "\n";
+}
+
+function serializeBankJSON(users, settings = {}) {
+  const money = (v) => +(+v || 0).toFixed(2);
+  const rate = (v) => +(+v || 0).toFixed(6);
+  const bands = (list) => (list || []).map((r) => {
+    const band = { startDate: r.startDate, endDate: r.endDate };
+    if (r.tiers && r.tiers.length) {
+      band.tiers = r.tiers.map((t) => (t.upTo !== null ? { upTo: money(t.upTo), rate: rate(t.rate) } : { rate: rate(t.rate) }));
+    } else {
+      band.rate = rate(r.rate);
+    }
+    return band;
+  });
+
+  const policy = (p) => {
+    const written = { enforce: p.enforce === "reject" ? "reject" : "flag" };
+    if (p.minimumBalance) written.minimumBalance = money(p.minimumBalance);
+    if (p.penaltyMonths) written.penaltyMonths = +p.penaltyMonths;
+    return written;
+  };
+  const matching = (list) => list.map((m) => {
+    const rule = { rate: rate(m.rate) };
+    if (m.maxPerMonth !== null && m.maxPerMonth !== undefined) rule.maxPerMonth = money(m.maxPerMonth);
+    if (m.startDate) rule.startDate = m.startDate;
+    if (m.endDate) rule.endDate = m.endDate;
+    if (m.category) rule.category = m.category;
+    return rule;
+  });
+  // One setting of a change's value or previous; no policy is {}
+  const setting = (key, value) => {
+    if (key === "policy") return value ? { policy: policy(value) } : {};
+    if (key === "matching") return { matching: matching(value) };
+    if (key === "interestRates") return { interestRates: bands(value) };
+    return { [key]: value };
+  };
+
+  const out = {};
+  if (settings.parentPin) out.parentPin = settings.parentPin;
+  out.users = (users || []).map((u) => {
+    // A logged user's settings stay as first recorded, like its transactions
+    const s = u.changeLog ? u.changeLog.settings : u;
+    const user = { name: s.name };
+    if (u.pin) user.pin = u.pin;
+    if (s.compounding && s.compounding !== "monthly") user.compounding = s.compounding;
+    if (s.policy) user.policy = policy(s.policy);
+
+    const transaction = (t) => {
+      const tx = { date: t.date, type: t.type, amount: money(t.amount) };
+      for (const f of TX_OPTIONAL_FIELDS) if (t[f]) tx[f] = t[f];
+      return tx;
+    };
+    user.transactions = ((u.changeLog ? u.changeLog.base : u.transactions) || []).map(transaction);
+    if (u.changeLog) {
+      user.changes = u.changeLog.changes.map((c) => {
+        const change = { at: c.at, action: c.action };
+        if (c.tx) change.tx = c.tx;
+        if (c.undoes) change.undoes = c.undoes;
+        if (c.reason) change.reason = c.reason;
+        if (c.transaction) change.transaction = transaction(c.transaction);
+        const key = SETTING_CHANGES[c.action];
+        if (key) change.value = setting(key, c.value);
+        if (key && c.previous !== undefined) change.previous = setting(key, c.previous);
+        return change;
+      });
+    }
+
+    if (u.recurring && u.recurring.length) {
+      user.recurring = u.recurring.map((r) => {
+        const rule = { amount: money(r.amount), type: r.type, frequency: r.frequency, startDate: r.startDate };
+        if (r.endDate) rule.endDate = r.endDate;
+        if (r.jar) rule.jar = r.jar;
+        return rule;
+      });
+    }
+
+    if (s.matching && s.matching.length) user.matching = matching(s.matching);
+    user.interestRates = bands(s.interestRates);
+
+    if (u.jars && u.jars.length) {
+      user.jars = u.jars.map((j) => {
+        const jar = { name: j.name };
+        if (j.interestRates && j.interestRates.length) jar.interestRates = bands(j.interestRates);
+        return jar;
+      });
+    }
+
+    if (u.goals && u.goals.length) {
+      user.goals = u.goals.map((g) => {
+        const goal = { name: g.name, target: money(g.target) };
+        if (g.targetDate) goal.targetDate = g.targetDate;
+        return goal;
+      });
+    }
+    return user;
+  });
+
+  return JSON.stringify(out, null, 2) + "\n";
+}
+
+/********************************************************************
+ * 7) Validation report
+ *
+ * validateBank(readBankXML(xmlDoc)) (or readBankJSON(text)) lists every
+ * problem the parser would otherwise paper over, naming fields by their
+ * XML tags. Each issue is
+ *   { user, [jar,] section: "file"|"user"|"policy"|"jar"|"transaction"|
+ *     "change"|"recurring"|"match"|"interestRate"|"goal", index (1-based,
+ *     null for file/user/policy), field, message }
+ *
+ * policyIssues(users, today) lists, in the same shape with `warning`
+ * set, the withdrawals that broke a user's <policy> (section 4). Those
+ * are events in the ledger, not mistakes in the file.
+ ********************************************************************/
+const NUMBER_RE = /^-?\d+(\.\d+)?$/;
+const POLICY_ENFORCE = ["flag", "reject"];
+
+function validateBank(raw) {
+  const issues = [];
+  const add = (user, section, index, field, message, jar = null) =>
+    issues.push(jar ? { user, jar, section, index, field, message } : { user, section, index, field, message });
+
+  if (raw.parseError) {
+    add(null, "file", null, null, `The file is not well-formed ${raw.format || "XML"}: ${raw.parseError}`);
+    return issues;
+  }
+  if (!raw.hasUsers) add(null, "file", null, "users", "Missing <users> element.");
+  else if (!raw.users.length) add(null, "file", null, "user", "No <user> entries found.");
+  const pinMessage = (tag) => `<${tag}> must be a PIN hash set in Parent Admin, not the PIN itself.`;
+  if (raw.parentPin !== null && raw.parentPin !== undefined && !PIN_HASH_RE.test(raw.parentPin)) {
+    add(null, "file", null, "parentPin", pinMessage("parentPin"));
+  }
+
+  raw.users.forEach((u, i) => {
+    const who = u.name || `User ${i + 1}`;
+    if (!u.name) add(who, "user", null, "name", "Missing or empty <name>.");
+    if (u.pin !== null && u.pin !== undefined && !PIN_HASH_RE.test(u.pin)) add(who, "user", null, "pin", pinMessage("pin"));
+    const checkCompounding = (mode, at) => {
+      if (mode !== null && mode !== undefined && !(mode.toLowerCase() in COMPOUNDING_MODES)) {
+        at("compounding", `Unknown compounding "${mode}" (expected ${Object.keys(COMPOUNDING_MODES).join(", ")}).`);
+      }
+    };
+    const checkPolicy = (p, at) => {
+      if (p.enforce !== null && !POLICY_ENFORCE.includes(p.enforce.toLowerCase()))
+        at("enforce", `Unknown enforce "${p.enforce}" (expected ${POLICY_ENFORCE.join(", ")}).`);
+      if (p.minimumBalance !== null && !(NUMBER_RE.test(p.minimumBalance) && parseFloat(p.minimumBalance) >= 0))
+        at("minimumBalance", `"${p.minimumBalance}" is not an amount of 0 or more.`);
+      if (p.penaltyMonths !== null && !(NUMBER_RE.test(p.penaltyMonths) && parseFloat(p.penaltyMonths) > 0))
+        at("penaltyMonths", `"${p.penaltyMonths}" is not a positive number of months.`);
+    };
+    const checkMatch = (m, at) => {
+      if (m.rate === null) at("rate", "Missing <rate>.");
+      else if (!NUMBER_RE.test(m.rate) || !(parseFloat(m.rate) > 0)) at("rate", `"${m.rate}" is not a positive rate.`);
+      if (m.maxPerMonth !== null && !isValidAmount(m.maxPerMonth)) at("maxPerMonth", `"${m.maxPerMonth}" is not a positive amount.`);
+
+      for (const field of ["startDate", "endDate"]) {
+        if (m[field] !== null && !isValidISODate(m[field])) at(field, `"${m[field]}" is not a valid YYYY-MM-DD date.`);
+      }
+      if (isValidISODate(m.startDate) && isValidISODate(m.endDate) && m.endDate < m.startDate) {
+        at("endDate", `Ends (${m.endDate}) before it starts (${m.startDate}).`);
+      }
+    };
+
+    checkCompounding(u.compounding, (field, message) => add(who, "user", null, field, message));
+    if (u.policy) checkPolicy(u.policy, (field, message) => add(who, "policy", null, field, message));
+
+    const jars = u.jars || [];
+    const jarNames = jars.map((j) => j.name).filter(Boolean);
+    const checkJarRef = (at, field, name) => {
+      if (name === null || name === undefined) return;
+      if (!jars.length) at(field, `Jar "${name}" given but this user has no <jars>.`);
+      else if (!jarNames.some((n) => sameJar(n, name)))
+        at(field, `Unknown jar "${name}" (expected ${jarNames.join(", ")}).`);
+    };
+
+    jars.forEach((j, idx) => {
+      if (!j.name) add(who, "jar", idx + 1, "name", "Missing or empty <name>.");
+      else if (jarNames.findIndex((n) => sameJar(n, j.name)) !== jarNames.indexOf(j.name))
+        add(who, "jar", idx + 1, "name", `Duplicate jar name "${j.name}".`);
+    });
+
+    const txTypes = [...Object.keys(TX_SIGNS), "transfer"];
+    const checkTx = (t, at) => {
+      if (t.date === null) at("date", "Missing <date>.");
+      else if (!isValidISODate(t.date)) at("date", `"${t.date}" is not a valid YYYY-MM-DD date.`);
+
+      if (t.type === null) at("type", "Missing <type>.");
+      else if (!txTypes.includes(t.type.toLowerCase()))
+        at("type", `Unknown type "${t.type}" (expected ${txTypes.join(", ")}).`);
+
+      if (t.type !== null && t.type.toLowerCase() === "transfer") {
+        if (t.from === null) at("from", "A transfer needs a <from> jar.");
+        if (t.to === null) at("to", "A transfer needs a <to> jar.");
+        checkJarRef(at, "from", t.from);
+        checkJarRef(at, "to", t.to);
+        if (t.from !== null && t.to !== null && sameJar(t.from, t.to)) at("to", "A transfer must move money between two different jars.");
+      } else {
+        checkJarRef(at, "jar", t.jar);
+      }
+
+      if (t.amount === null) at("amount", "Missing <amount>.");
+      else if (!NUMBER_RE.test(t.amount)) at("amount", `"${t.amount}" is not a number.`);
+      else if (parseFloat(t.amount) < 0) at("amount", `Negative amount ${t.amount}; use a withdrawal instead.`);
+
+      if (t.lockedUntil !== null && t.lockedUntil !== undefined) {
+        if (!isValidISODate(t.lockedUntil)) at("lockedUntil", `"${t.lockedUntil}" is not a valid YYYY-MM-DD date.`);
+        else if (t.type !== null && !(TX_SIGNS[t.type.toLowerCase()] > 0)) at("lockedUntil", "Only money paid in can be locked.");
+        else if (!u.policy) at("lockedUntil", "Locks are only enforced for a user with a <policy>.");
+      }
+    };
+    u.transactions.forEach((t, idx) => checkTx(t, (field, message) => add(who, "transaction", idx + 1, field, message)));
+
+    // Transaction numbers: 1…N for <transactions>, then each "added" change's <tx>
+    const txIds = new Set(u.transactions.map((_, idx) => idx + 1));
+    (u.changes || []).forEach((c, idx) => {
+      const at = (field, message) => add(who, "change", idx + 1, field, message);
+      const action = (c.action || "").toLowerCase();
+      const number = (v) => (v !== null && v !== undefined && /^\d+$/.test(v) ? parseInt(v) : null);
+
+      if (c.at === null || isNaN(Date.parse(c.at))) at("at", c.at === null ? "Missing <at> timestamp." : `"${c.at}" is not a timestamp.`);
+      if (c.action === null) at("action", "Missing <action>.");
+      else if (!CHANGE_ACTIONS.includes(action)) {
+        at("action", `Unknown action "${c.action}" (expected ${CHANGE_ACTIONS.join(", ")}).`);
+        return;
+      }
+      if (action !== "added" && !c.reason) at("reason", `A ${action} change needs a <reason>.`);
+
+      if (action === "reverted") {
+        const undoes = number(c.undoes);
+        if (!undoes || undoes > idx) at("undoes", `<undoes> must name an earlier change (1–${idx}).`);
+        return;
+      }
+      if (action === "deleted") return;
+      const key = SETTING_CHANGES[action];
+      if (key) {
+        // Only the <value> is checked; <previous> is a record of what it replaced
+        const value = c.value;
+        if (!value) at("value", `A ${action} change needs its <value>.`);
+        else if (key === "name" && !value.name) at("name", "Missing or empty <name>.");
+        else if (key === "compounding" && value.compounding === null) at("compounding", "Missing <compounding>.");
+        else if (key === "compounding") checkCompounding(value.compounding, at);
+        else if (key === "policy" && value.policy) checkPolicy(value.policy, at);
+        else if (key === "matching") {
+          value.matching.forEach((m, k) => checkMatch(m, (field, message) => at(field, `match #${k + 1}: ${message}`)));
+        } else if (key === "interestRates") {
+          for (const p of bandIssues(value.interestRates)) at(p.field, `interestRate #${p.index}: ${p.message}`);
+        }
+        return;
+      }
+      const tx = number(c.tx);
+      if (action === "added") {
+        if (!tx) at("tx", "Missing or invalid <tx> number.");
+        else if (txIds.has(tx)) at("tx", `Transaction #${tx} already exists.`);
+        else txIds.add(tx);
+      } else if (!tx || !txIds.has(tx)) {
+        at("tx", `No transaction #${c.tx === null ? "?" : c.tx} to ${action === "voided" ? "void" : "correct"}.`);
+      }
+      if (action !== "voided") {
+        if (!c.transaction) at("transaction", `A ${action} change needs its <transaction>.`);
+        else checkTx(c.transaction, at);
+      }
+    });
+
+    (u.recurring || []).forEach((r, idx) => {
+      const at = (field, message) => add(who, "recurring", idx + 1, field, message);
+
+      if (r.amount === null) at("amount", "Missing <amount>.");
+      else if (!NUMBER_RE.test(r.amount) || !(parseFloat(r.amount) > 0)) at("amount", `"${r.amount}" is not a positive amount.`);
+
+      if (r.type === null) at("type", "Missing <type>.");
+      else if (!(r.type.toLowerCase() in TX_SIGNS))
+        at("type", `Unknown type "${r.type}" (expected ${Object.keys(TX_SIGNS).join(", ")}).`);
+
+      if (r.frequency === null) at("frequency", "Missing <frequency>.");
+      else if (!(r.frequency.toLowerCase() in RECURRING_FREQUENCIES))
+        at("frequency", `Unknown frequency "${r.frequency}" (expected ${Object.keys(RECURRING_FREQUENCIES).join(", ")}).`);
+
+      if (r.startDate === null) at("startDate", "Missing <startDate>.");
+      else if (!isValidISODate(r.startDate)) at("startDate", `"${r.startDate}" is not a valid YYYY-MM-DD date.`);
+      if (r.endDate !== null) {
+        if (!isValidISODate(r.endDate)) at("endDate", `"${r.endDate}" is not a valid YYYY-MM-DD date.`);
+        else if (isValidISODate(r.startDate) && r.endDate < r.startDate) at("endDate", `Ends (${r.endDate}) before it starts (${r.startDate}).`);
+      }
+      checkJarRef(at, "jar", r.jar);
+    });
+
+    (u.matching || []).forEach((m, idx) => checkMatch(m, (field, message) => add(who, "match", idx + 1, field, message)));
+
+    for (const p of bandIssues(u.interestRates)) add(who, "interestRate", p.index, p.field, p.message);
+    jars.forEach((j) => {
+      for (const p of bandIssues(j.interestRates || [])) add(who, "interestRate", p.index, p.field, p.message, j.name || "?");
+    });
+
+    (u.goals || []).forEach((g, idx) => {
+      const at = (field, message) => add(who, "goal", idx + 1, field, message);
+      if (!g.name) at("name", "Missing or empty <name>.");
+      if (g.target === null) at("target", "Missing <target>.");
+      else if (!NUMBER_RE.test(g.target) || !(parseFloat(g.target) > 0)) at("target", `"${g.target}" is not a positive amount.`);
+      if (g.targetDate !== null && !isValidISODate(g.targetDate)) at("targetDate", `"${g.targetDate}" is not a valid YYYY-MM-DD date.`);
+    });
+  });
+
+  return issues;
+}
+
+function policyIssues(users, today = new Date()) {
+  const issues = [];
+  (users || []).forEach((u) => {
+    if (!u.policy) return;
+    computeInterestSchedule(u, today).policyEvents.forEach((e) => {
+      const issue = { user: u.name, section: "policy", index: null, field: null, warning: true };
+      if (e.jar) issue.jar = e.jar;
+      issue.message = `${e.date} ${e.type} of $${e.amount.toFixed(2)} ${e.action}: ${e.reasons.join("; ")}.`;
+      issues.push(issue);
+    });
+  });
+  return issues;
+}
+
+// Field problems plus overlaps/gaps for one raw <interestRates> list
+function bandIssues(list) {
+  const problems = [];
+  const bands = [];
+  list.forEach((r, idx) => {
+    const at = (field, message) => problems.push({ index: idx + 1, field, message });
+    let datesOk = true;
+
+    for (const field of ["startDate", "endDate"]) {
+      if (r[field] === null) { at(field, `Missing <${field}>.`); datesOk = false; }
+      else if (!isValidISODate(r[field])) { at(field, `"${r[field]}" is not a valid YYYY-MM-DD date.`); datesOk = false; }
+    }
+    if (datesOk && r.endDate < r.startDate) {
+      at("endDate", `Ends (${r.endDate}) before it starts (${r.startDate}).`);
+      datesOk = false;
+    }
+
+    const rateIssue = (rate) => {
+      if (rate === null) return "Missing <rate>.";
+      if (!NUMBER_RE.test(rate)) return `"${rate}" is not a number.`;
+      if (parseFloat(rate) < 0) return `Negative rate ${rate}.`;
+      return null;
+    };
+    const tiers = r.tiers || [];
+    if (r.tiers && !tiers.length) at("tiers", "<tiers> has no <tier> entries.");
+    if (!tiers.length || r.rate !== null) {
+      const problem = rateIssue(r.rate);
+      if (problem) at("rate", problem);
+    }
+
+    // Tiers: ceilings rising in order; only the last may leave <upTo> out
+    let lastUpTo = 0;
+    tiers.forEach((t, k) => {
+      const tierAt = (field, message) => at(field, `Tier #${k + 1}: ${message}`);
+      const problem = rateIssue(t.rate);
+      if (problem) tierAt("rate", problem);
+
+      if (t.upTo === null) {
+        if (k < tiers.length - 1) tierAt("upTo", "Missing <upTo>; only the last tier may leave it out.");
+      } else if (!isValidAmount(t.upTo)) {
+        tierAt("upTo", `"${t.upTo}" is not a positive amount.`);
+      } else if (parseFloat(t.upTo) <= lastUpTo) {
+        tierAt("upTo", `$${t.upTo} is not above the previous tier's $${lastUpTo.toFixed(2)}.`);
+      } else {
+        lastUpTo = parseFloat(t.upTo);
+      }
+    });
+
+    if (datesOk) bands.push({ index: idx + 1, startDate: r.startDate, endDate: r.endDate });
+  });
+  return [...problems, ...rateBandProblems(bands)];
+}
+
+// Overlaps and gaps between date-valid bands ({ index, startDate, endDate })
+function rateBandProblems(bands) {
+  const problems = [];
+  const sorted = [...bands].sort((a, b) => (a.startDate < b.startDate ? -1 : a.startDate > b.startDate ? 1 : 0));
+
+  for (let k = 1; k < sorted.length; k++) {
+    const prev = sorted[k - 1], cur = sorted[k];
+    const dayAfterPrev = localDate(prev.endDate);
+    dayAfterPrev.setDate(dayAfterPrev.getDate() + 1);
+
+    if (cur.startDate <= prev.endDate) {
+      problems.push({
+        index: cur.index,
+        field: "startDate",
+        message: `Overlaps interestRate #${prev.index} (${prev.startDate} to ${prev.endDate}).`
+      });
+    } else if (cur.startDate !== iso(dayAfterPrev)) {
+      const gapEnd = localDate(cur.startDate);
+      gapEnd.setDate(gapEnd.getDate() - 1);
+      problems.push({
+        index: cur.index,
+        field: "startDate",
+        message: `Gap after interestRate #${prev.index}: no rate from ${iso(dayAfterPrev)} to ${iso(gapEnd)}.`
+      });
+    }
+  }
+  return problems;
+}
+
+function formatIssue(issue) {
+  const where = [];
+  if (issue.user) where.push(issue.user);
+  if (issue.jar) where.push(`${issue.jar} jar`);
+  if (issue.index !== null) where.push(`${issue.section} #${issue.index}`);
+  if (issue.field) where.push(`<${issue.field}>`);
+  return where.length ? `${where.join(" › ")}: ${issue.message}` : issue.message;
+}
+
+/********************************************************************
+ * 8) Projection & savings goals
+ *
+ * projectScenario carries today's state forward month by month with the
+ * same engine as History: the user's compounding policy, the rate band
+ * in force each month, transactions already dated in the future, and an
+ * optional recurring deposit/withdrawal ({ amount, frequency }, amount
+ * signed, frequency "weekly" | "biweekly" | "monthly"). Scenario
+ * deposits earn parent matches like real ones.
+ *
+ * Point 0 is today's balance; point k is the balance at the end of the
+ * k-th month (point 1 = end of the current month, after its interest).
+ ********************************************************************/
+const GOAL_HORIZON_MONTHS = 120;   // how far ahead goalProgress looks for a goal's ETA
+
+/* The projection of `user` over `months` months, set up once: today's
+ * schedule and everything before the current month are worked out here,
+ * so each scenario (goalProgress's search tries many) only redoes the
+ * months ahead. start(recurring) returns step(); each call of step()
+ * gives the next point { month, date, cents, monthTx } from point 0 on,
+ * with monthTx that month's signed rows in cents. */
+function scenarioProjector(user, months, today = new Date()) {
+  if (hasJars(user)) {
+    // Sum the jars month by month; the scenario's extra amount goes to the
+    // first jar, but every jar sees it so matches share one monthly cap
+    const jars = jarViews(user).map((view) => scenarioProjector(view, months, today));
+    return (recurring) => {
+      const steps = jars.map((start) => start(recurring));
+      return () => {
+        const pts = steps.map((step) => step());
+        return { ...pts[0], cents: pts.reduce((s, p) => s + p.cents, 0), monthTx: pts.flatMap((p) => p.monthTx) };
+      };
+    };
+  }
+
+  const sched = computeInterestSchedule(user, today);
+  const mode = compoundingOf(user);
+  const currentMonthStart = startOfMonth(today);
+  const horizon = endOfMonth(addMonths(currentMonthStart, Math.max(0, months - 1)));
+  const inCents = (t) => ({ date: t.date, amount: toCents(t.amount) });
+
+  // Withdrawals the policy rejected are added back, penalties taken off
+  const adjustments = [
+    ...sched.policyEvents.filter((e) => e.action === "rejected").map(inCents),
+    ...sched.penaltyTx.map(inCents)
+  ];
+  const before = (t) => localDate(t.date) < currentMonthStart;
+  const principal = [...signedTransactions(user, currentMonthStart).map(inCents), ...adjustments]
+    .filter(before)
+    .reduce((s, t) => s + t.amount, 0);
+  const adjustmentsAhead = adjustments.filter((t) => !before(t));
+
+  return (recurring) => {
+    const extra = [];
+    if (recurring && recurring.amount) {
+      for (const d of recurringDates(today, horizon, recurring.frequency)) {
+        const t = { date: iso(d), type: recurring.amount < 0 ? "withdrawal" : "deposit", amount: Math.abs(recurring.amount) };
+        if (user.account) t.jar = user.account.jars[0].name;
+        extra.push(t);
+      }
+    }
+
+    // In cents, grouped once by projection month (1 = the current month)
+    const byMonth = [];
+    for (const t of [...signedTransactions(user, horizon, extra, currentMonthStart).map(inCents), ...adjustmentsAhead]) {
+      const td = localDate(t.date);
+      const k = (td.getFullYear() - currentMonthStart.getFullYear()) * 12 + td.getMonth() - currentMonthStart.getMonth() + 1;
+      if (k <= months) (byMonth[k] = byMonth[k] || []).push(t);
+    }
+
+    // Interest is credited with the same rounding and carry as the engine
+    let k = 0;
+    let mStart = currentMonthStart;
+    let bal = principal + toCents(sched.totalInterestCredited);
+    let owned = principal;
+    let carry = sched.interestCarryCents;
+    return () => {
+      if (k === 0) {
+        k = 1;
+        return { month: 0, date: today, cents: toCents(sched.currentBalanceWithInterest), monthTx: [] };
+      }
+      const mEnd = endOfMonth(mStart);
+      const monthTx = byMonth[k] || [];
+      const monthSum = monthTx.reduce((s, t) => s + t.amount, 0);
+      const credit = creditInterest(
+        interestForMonth(user, mode, mStart, daysInMonth(mStart), bal, owned, monthTx), carry
+      );
+      carry = credit.carry;
+      bal += monthSum + credit.credited;
+      owned += monthSum;
+      const point = { month: k, date: mEnd, cents: bal, monthTx };
+      k++;
+      mStart = firstDayNextMonth(mStart);
+      return point;
+    };
+  };
+}
+
+function projectScenario(user, months, today = new Date(), recurring = null) {
+  if (!user) return [{ month: 0, date: today, balance: computeInterestSchedule(user, today).currentBalanceWithInterest }];
+  const step = scenarioProjector(user, months, today)(recurring);
+  const points = [];
+  for (let k = 0; k <= months; k++) {
+    const p = step();
+    points.push({ month: p.month, date: p.date, balance: fromCents(p.cents) });
+  }
+  return points;
+}
+
+// Whole projection months (month-ends) that fall on or before `date`
+function projectionMonthsUntil(today, date) {
+  let n = 0;
+  while (endOfMonth(addMonths(startOfMonth(today), n)) <= date) n++;
+  return n;
+}
+
+/* Balance in cents at point `months` of a fresh step(); with `by`, a
+ * date in the month after, on that day: the rows of that month up to
+ * `by` count, its interest (credited at month end) does not. */
+function centsAt(step, months, by = null) {
+  let p = step();
+  for (let k = 0; k < months; k++) p = step();
+  if (!by || !months) return p.cents;
+  return p.cents + step().monthTx.filter((t) => localDate(t.date) <= by).reduce((s, t) => s + t.amount, 0);
+}
+
+/* Smallest extra monthly deposit (to the cent) that brings the projected
+ * balance at month `months` (or on `by`, see centsAt) up to target; null
+ * if no deposit date falls inside the window. */
+function monthlyDepositNeeded(user, target, months, today = new Date(), by = null) {
+  const start = scenarioProjector(user, by ? months + 1 : months, today);
+  const balanceWith = (cents) => fromCents(centsAt(start({ amount: fromCents(cents), frequency: "monthly" }), months, by));
+
+  if (balanceWith(0) >= target) return 0;
+  let hi = Math.max(1, toCents(target));
+  if (balanceWith(hi) < target) return null;
+
+  // bisect on whole cents: balanceWith(lo) < target <= balanceWith(hi)
+  let lo = 0;
+  while (hi - lo > 1) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (balanceWith(mid) >= target) hi = mid; else lo = mid;
+  }
+  return fromCents(hi);
+}
+
+/* The ETA is looked for up to maxMonths ahead, stopping at the month the
+ * target is reached. The shortfall and top-up are for the balance on the
+ * target date itself, so deposits up to that day count; a target date
+ * further out than maxMonths gets neither. */
+function goalProgress(user, goal, today = new Date(), maxMonths = GOAL_HORIZON_MONTHS) {
+  const target = +goal.target || 0;
+  const start = scenarioProjector(user, maxMonths, today);
+  const step = start(null);
+  let p = step();
+  const balance = fromCents(p.cents);
+
+  let hit = null;
+  for (let k = 0; k <= maxMonths && !hit; k++) {
+    if (k) p = step();
+    if (fromCents(p.cents) >= target) hit = p;
+  }
+  const result = {
+    goal,
+    balance,
+    fraction: target > 0 ? Math.max(0, Math.min(1, balance / target)) : 0,
+    reached: balance >= target,
+    monthsToGoal: hit ? hit.month : null,
+    etaDate: hit ? hit.date : null,
+    monthsToTargetDate: null,
+    shortfallAtTargetDate: null,
+    monthlyNeeded: null
+  };
+
+  if (goal.targetDate && isValidISODate(goal.targetDate) && !result.reached) {
+    const by = localDate(goal.targetDate);
+    const n = projectionMonthsUntil(today, by);
+    result.monthsToTargetDate = n;
+    if (n < maxMonths) {
+      result.shortfallAtTargetDate = fromCents(Math.max(0, toCents(target) - centsAt(start(null), n, by)));
+      result.monthlyNeeded = n > 0 ? monthlyDepositNeeded(user, target, n, today, by) : null;
+    }
+  }
+  return result;
+}
+
+/********************************************************************
+ * 9) Monthly statements, date spans, family overview & history export
+ ********************************************************************/
+// Consecutive days of [start, end] grouped by the rate in force:
+// [{ startDate, endDate, rate, [tiers] }]
+function ratePeriods(user, start, end) {
+  const periods = [];
+  for (let d = start; d <= end; d = addDays(d, 1)) {
+    const band = rateBandFor(user, d) || { rate: 0 };
+    const last = periods[periods.length - 1];
+    if (last && describeRate(last) === describeRate(band)) {
+      last.endDate = iso(d);
+    } else {
+      const period = { startDate: iso(d), endDate: iso(d), rate: band.rate || 0 };
+      if (band.tiers && band.tiers.length) period.tiers = band.tiers;
+      periods.push(period);
+    }
+  }
+  return periods;
+}
+
+/**
+ * Statement for one calendar month ("YYYY-MM") of the whole account or
+ * one jar: opening balance, the month's rows with a running balance,
+ * totals, interest credited, closing balance and the APY periods in
+ * force (per jar for jar users). The current month is `partial`: rows
+ * stop at `today` and `accruedInterest` is what the engine has accrued
+ * but not yet credited. Null for a malformed or future month, or an
+ * unknown jar.
+ */
+function monthlyStatement(user, month, today = new Date(), jarName = null) {
+  const m = /^(\d{4})-(\d{2})$/.exec(month || "");
+  if (!user || !m || +m[2] < 1 || +m[2] > 12) return null;
+  const start = new Date(+m[1], +m[2] - 1, 1);
+  const end = endOfMonth(start);
+  if (start > today) return null;
+
+  let view = user;
+  if (hasJars(user) && jarName) {
+    const jar = user.jars.find((j) => sameJar(j.name, jarName));
+    if (!jar) return null;
+    view = jarView(user, jar);
+  }
+
+  const partial = today < firstDayNextMonth(start);
+  const startISO = iso(start);
+  const lastISO = partial ? iso(today) : iso(end);
+
+  // Running totals in cents
+  let opening = 0, balance = 0, deposits = 0, withdrawals = 0, interestCredited = 0;
+  const rows = [];
+  buildAugmentedTransactions(view, today).forEach((r) => {
+    if (r.date > lastISO) return;
+    const cents = toCents(r.amount);
+    balance += cents;
+    if (r.date < startISO) {
+      opening = balance;
+      return;
+    }
+    if (r.type === "Interest") interestCredited += cents;
+    else if (cents > 0) deposits += cents;
+    else withdrawals -= cents;
+    rows.push({ ...r, balance: fromCents(balance) });
+  });
+
+  const rates = hasJars(view)
+    ? jarViews(view).flatMap((v) => ratePeriods(v, start, end).map((p) => ({ jar: v.jarName, ...p })))
+    : ratePeriods(view, start, end);
+
+  return {
+    month,
+    startDate: startISO,
+    endDate: iso(end),
+    partial,
+    openingBalance: fromCents(opening),
+    rows,
+    deposits: fromCents(deposits),
+    withdrawals: fromCents(withdrawals),
+    interestCredited: fromCents(interestCredited),
+    closingBalance: fromCents(balance),
+    accruedInterest: partial ? computeInterestSchedule(view, today).accruedCurrentMonth : 0,
+    rates
+  };
+}
+
+/**
+ * What changed between two dates (Dates, either order): the engine's
+ * balance as of each, and the deposits, withdrawals and interest in
+ * between (rows dated after `from`, through `to`). Interest includes the
+ * change in accrued, not-yet-credited interest, so opening + deposits −
+ * withdrawals + interest = closing to the cent.
+ */
+function spanSummary(user, from, to) {
+  if (to < from) [from, to] = [to, from];
+  const fromISO = iso(from), toISO = iso(to);
+  const opening = toCents(computeInterestSchedule(user, from).currentBalanceWithInterest);
+  const closing = toCents(computeInterestSchedule(user, to).currentBalanceWithInterest);
+
+  let deposits = 0, withdrawals = 0;   // cents
+  buildAugmentedTransactions(user, to).forEach((r) => {
+    if (r.type === "Interest" || r.date <= fromISO || r.date > toISO) return;
+    const cents = toCents(r.amount);
+    if (cents > 0) deposits += cents;
+    else withdrawals -= cents;
+  });
+
+  return {
+    from: fromISO,
+    to: toISO,
+    openingBalance: fromCents(opening),
+    closingBalance: fromCents(closing),
+    deposits: fromCents(deposits),
+    withdrawals: fromCents(withdrawals),
+    interest: fromCents(closing - opening - deposits + withdrawals),
+    net: fromCents(closing - opening)
+  };
+}
+
+/**
+ * Family overview for parents: one line per user as of `today` with the
+ * balance, the rate in force (per jar for jar users), interest this
+ * month and this year (accrued included, as spanSummary counts it) and
+ * the deposits and withdrawals since `from` (a Date, default January
+ * 1st). `total` sums every amount: what the bank owes the family.
+ */
+function familyOverview(users, today = new Date(), from = null) {
+  const dayBefore = (d) => addDays(d, -1);
+  const yearStart = new Date(today.getFullYear(), 0, 1);
+  const start = from || yearStart;
+
+  const rows = (users || []).map((u) => {
+    const month = spanSummary(u, dayBefore(startOfMonth(today)), today);
+    const year = spanSummary(u, dayBefore(yearStart), today);
+    const period = spanSummary(u, dayBefore(start), today);
+    const rate = hasJars(u)
+      ? jarViews(u).map((v) => `${v.jarName} ${describeRate(rateBandFor(v, today))}`).join(", ")
+      : describeRate(rateBandFor(u, today));
+    return {
+      name: u.name,
+      balance: period.closingBalance,
+      rate,
+      interestThisMonth: month.interest,
+      interestThisYear: year.interest,
+      deposits: period.deposits,
+      withdrawals: period.withdrawals
+    };
+  });
+
+  const total = {};
+  for (const f of ["balance", "interestThisMonth", "interestThisYear", "deposits", "withdrawals"]) {
+    total[f] = fromCents(rows.reduce((s, r) => s + toCents(r[f]), 0));
+  }
+  return { from: iso(start), rows, total };
+}
+
+/**
+ * Everyone's balance over time for the family chart: `dates` are month
+ * ends from the first transaction on, then `today`; each series has the
+ * user's balance on those dates (credited interest, plus this month's
+ * accrued interest on the last), and `total` their sum.
+ */
+function familyBalanceSeries(users, today = new Date()) {
+  const todayISO = iso(today);
+  const histories = (users || []).map((u) => buildAugmentedTransactions(u, today).filter((r) => r.date <= todayISO));
+  const first = histories.flat().reduce((min, r) => (min === null || r.date < min ? r.date : min), null);
+
+  const dates = [];
+  if (first) {
+    for (let d = endOfMonth(localDate(first)); iso(d) < todayISO; d = endOfMonth(firstDayNextMonth(d))) dates.push(iso(d));
+  }
+  dates.push(todayISO);
+
+  const series = (users || []).map((u, i) => {
+    let k = 0, cents = 0;
+    const balances = dates.map((date) => {
+      while (k < histories[i].length && histories[i][k].date <= date) cents += toCents(histories[i][k++].amount);
+      return cents;
+    });
+    balances[balances.length - 1] = toCents(computeInterestSchedule(u, today).currentBalanceWithInterest);
+    return { name: u.name, balances: balances.map(fromCents) };
+  });
+  const total = dates.map((_, j) => fromCents(series.reduce((s, sr) => s + toCents(sr.balances[j]), 0)));
+  return { dates, series, total };
+}
+
+const HISTORY_EXPORT_FIELDS = ["date", "type", "amount", "moved", "balance", "category", "memo", "jar", "from", "to", "rule"];
+
+// History rows (buildAugmentedTransactions) with a running balance,
+// keeping only the export fields that are set
+function historyExportRows(rows) {
+  let balance = 0;   // cents
+  return rows.map((r) => {
+    balance += toCents(r.amount);
+    const out = {};
+    HISTORY_EXPORT_FIELDS.forEach((f) => {
+      const v = f === "balance" ? fromCents(balance) : r[f];
+      if (v === undefined || v === null) return;
+      out[f] = typeof v === "number" ? fromCents(toCents(v)) : v;
+    });
+    return out;
+  });
+}
+
+function csvCell(v) {
+  const str = v === undefined || v === null ? "" : String(v);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function historyToCSV(rows) {
+  const lines = [HISTORY_EXPORT_FIELDS.join(",")];
+  historyExportRows(rows).forEach((r) => {
+    lines.push(HISTORY_EXPORT_FIELDS.map((f) => csvCell(r[f])).join(","));
+  });
+  return lines.join("\r\n") + "\r\n";
+}
+
+function historyToJSON(user, rows, today = new Date()) {
+  return JSON.stringify({
+    name: user.name,
+    exportedOn: iso(today),
+    transactions: historyExportRows(rows)
+  }, null, 2) + "\n";
+}
+
+/********************************************************************
+ * 10) PINs
+ *
+ * <pin> (per user) and <parentPin> (on <bank>) hold a salted PBKDF2
+ * hash, "pbkdf2-sha256$<iterations>$<salt hex>$<hash hex>", made in
+ * Parent Admin; the PIN itself is never stored. Checks run in the
+ * browser (WebCrypto), so this keeps kids out of each other's accounts
+ * and out of admin; it does not protect the XML file itself.
+ ********************************************************************/
+const PIN_HASH_RE = /^pbkdf2-sha256\$(\d+)\$((?:[0-9a-f]{2})+)\$([0-9a-f]{64})$/;
+const PIN_ITERATIONS = 100000;
+
+function isValidPin(str) {
+  return /^\d{4,8}$/.test(String(str || ""));
+}
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function pbkdf2Hex(pin, saltHex, iterations) {
+  const subtle = globalThis.crypto.subtle;
+  const salt = new Uint8Array(saltHex.match(/../g).map((h) => parseInt(h, 16)));
+  return subtle.importKey("raw", new TextEncoder().encode(pin), "PBKDF2", false, ["deriveBits"])
+    .then((key) => subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, key, 256))
+    .then(toHex);
+}
+
+// Promise of the stored form of `pin`, with a fresh random salt unless one is given
+function hashPin(pin, saltHex = null, iterations = PIN_ITERATIONS) {
+  const salt = saltHex || toHex(globalThis.crypto.getRandomValues(new Uint8Array(16)));
+  return pbkdf2Hex(String(pin), salt, iterations)
+    .then((hash) => `pbkdf2-sha256$${iterations}$${salt}$${hash}`);
+}
+
+// Promise of true when `pin` matches a stored hash; false for a malformed hash
+function verifyPin(pin, stored) {
+  const m = PIN_HASH_RE.exec(stored || "");
+  if (!m) return Promise.resolve(false);
+  return pbkdf2Hex(String(pin), m[2], +m[1]).then((hash) => hash === m[3]);
+}
+
+/* Promise of the role a login with `pin` gets on `user`'s account:
+ * "parent" for the parent PIN, "child" for the account's own <pin> (or
+ * when it has none), null for a wrong PIN. Without a well-formed
+ * parentPin every login is a parent's, as Parent Admin is open then. */
+function loginRole(pin, user, parentPin = "") {
+  const hasParentPin = PIN_HASH_RE.test(parentPin || "");
+  const asParent = pin && hasParentPin ? verifyPin(pin, parentPin) : Promise.resolve(false);
+  return asParent.then((isParent) => {
+    if (isParent) return "parent";
+    const role = hasParentPin ? "child" : "parent";
+    if (!user.pin) return role;
+    return verifyPin(pin, user.pin).then((ok) => (ok ? role : null));
+  });
+}
+
+/********************************************************************
+ * 11) CSV transaction import
+ *
+ * parseCSV reads spreadsheet/bank CSV (quoted fields, "" escapes, CRLF
+ * or LF) into rows of cells. csvImportRows maps the chosen columns onto
+ * transactions for one user and marks each row:
+ *   "new"       – ready to add
+ *   "duplicate" – same date, type and amount as a transaction the user
+ *                 already has, or as an earlier row of the same file
+ *   "invalid"   – with a message saying which cell is wrong
+ ********************************************************************/
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += c;
+    }
+  }
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  // Blank lines carry nothing to import
+  return rows.filter((r) => r.some((v) => v.trim() !== ""));
+}
+
+// "2025-03-01", "3/1/2025" or "03/01/2025" (month first) -> "2025-03-01"; else null
+function csvDate(str) {
+  const s = String(str || "").trim();
+  if (isValidISODate(s)) return s;
+  const m = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(s);
+  if (!m) return null;
+  const date = `${m[3]}-${m[1].padStart(2, "0")}-${m[2].padStart(2, "0")}`;
+  return isValidISODate(date) ? date : null;
+}
+
+// "12.50", "$1,234.50", "-12" or "(12.00)" -> signed dollars; else null
+function csvAmount(str) {
+  let s = String(str || "").trim().replace(/[$,\s]/g, "");
+  let sign = 1;
+  const paren = /^\((.*)\)$/.exec(s);
+  if (paren) { s = paren[1]; sign = -1; }
+  if (!NUMBER_RE.test(s)) return null;
+  return sign * parseFloat(s);
+}
+
+/**
+ * columns: { date, amount, type, memo, category } as 0-based column
+ * indexes; type, memo and category may be null. Where there is no type
+ * (no column, or an empty cell) the amount's sign decides: negative is a
+ * withdrawal, else a deposit. A named type ignores the sign. skipHeader
+ * drops the first row.
+ * Returns [{ line (1-based in the file), status, message, tx }].
+ */
+function csvImportRows(user, table, columns, skipHeader = true) {
+  const key = (t) => `${t.date}|${t.type.toLowerCase()}|${toCents(Math.abs(t.amount))}`;
+  const recorded = new Set(((user && user.transactions) || []).map(key));
+  const seen = {};   // key -> first line of the file with it
+  const has = (col) => col !== null && col !== undefined && col !== "";
+
+  return table.slice(skipHeader ? 1 : 0).map((cells, i) => {
+    const line = i + (skipHeader ? 2 : 1);
+    const cell = (col) => (has(col) ? String(cells[col] || "").trim() : "");
+    const invalid = (message) => ({ line, status: "invalid", message, tx: null });
+
+    const date = csvDate(cell(columns.date));
+    if (!date) return invalid(`Date "${cell(columns.date)}" is not a date.`);
+    const signed = csvAmount(cell(columns.amount));
+    if (signed === null || !toCents(signed)) return invalid(`Amount "${cell(columns.amount)}" is not a non-zero amount.`);
+    const type = cell(columns.type).toLowerCase() || (signed < 0 ? "withdrawal" : "deposit");
+    if (!(type in TX_SIGNS)) {
+      return invalid(`Unknown type "${type}" (expected ${Object.keys(TX_SIGNS).join(", ")}).`);
+    }
+
+    const tx = { date, type, amount: fromCents(Math.abs(toCents(signed))) };
+    if (cell(columns.memo)) tx.memo = cell(columns.memo);
+    if (cell(columns.category)) tx.category = cell(columns.category);
+
+    const k = key(tx);
+    if (seen[k]) return { line, status: "duplicate", message: `Same as line ${seen[k]}.`, tx };
+    seen[k] = line;
+    if (recorded.has(k)) return { line, status: "duplicate", message: "Already recorded.", tx };
+    return { line, status: "new", message: "", tx };
+  });
+}
+
+/********************************************************************
+ * 12) Change log
+ *
+ * Once a user has a <changes> log, their <transactions> and settings are
+ * never rewritten: every edit is appended as a change instead, with a
+ * timestamp and reason.
+ *   added      – a new transaction, numbered <tx>
+ *   corrected  – transaction <tx> replaced by the one given
+ *   voided     – transaction <tx> no longer counts (History still shows it)
+ *   renamed, compounding-changed, policy-changed, rates-changed,
+ *   matching-changed
+ *              – that setting replaced by the change's <value>; <previous>
+ *                keeps what it replaced, for the log
+ *   deleted    – the user is gone from every view but stays in the file
+ *   reverted   – change number <undoes> (1-based) is undone; reverting a
+ *                revert puts the change back
+ * Transactions are numbered 1…N in <transactions> order, then by the
+ * "added" changes. The engine only sees the replayed transactions and
+ * settings.
+ ********************************************************************/
+// Action -> the user field it replaces
+const SETTING_CHANGES = {
+  "renamed": "name",
+  "compounding-changed": "compounding",
+  "policy-changed": "policy",
+  "rates-changed": "interestRates",
+  "matching-changed": "matching"
+};
+const CHANGE_ACTIONS = ["added", "corrected", "voided", ...Object.keys(SETTING_CHANGES), "deleted", "reverted"];
+
+// The stored fields of a transaction, without rebuild annotations
+function txRecord(t) {
+  const tx = { date: t.date, type: t.type, amount: +t.amount || 0 };
+  for (const f of TX_OPTIONAL_FIELDS) if (t[f]) tx[f] = t[f];
+  return tx;
+}
+
+// A copy of every setting a change can replace; no policy is null
+function userSettings(user) {
+  return structuredClone({
+    name: user.name,
+    compounding: compoundingOf(user),
+    policy: user.policy || null,
+    matching: user.matching || [],
+    interestRates: user.interestRates || []
+  });
+}
+
+// 1-based numbers of the changes a later (itself standing) revert undoes
+function undoneChanges(changes) {
+  const undone = new Set();
+  for (let n = changes.length; n >= 1; n--) {
+    const c = changes[n - 1];
+    if (c.action === "reverted" && !undone.has(n) && c.undoes < n) undone.add(c.undoes);
+  }
+  return undone;
+}
+
+/**
+ * log: { base: transactions as first recorded, changes }. Returns the
+ * current { transactions, voided }, each sorted by date and carrying its
+ * number as `id`; a corrected one also has `corrected` (the reason), a
+ * voided one `voided` (the reason).
+ */
+function rebuildTransactions(log) {
+  const undone = undoneChanges(log.changes);
+  const byId = new Map(log.base.map((t, i) => [i + 1, { ...t, id: i + 1 }]));
+  const voidedBy = new Map();
+  log.changes.forEach((c, i) => {
+    if (undone.has(i + 1)) return;
+    if (c.action === "added" && c.transaction) byId.set(c.tx, { ...c.transaction, id: c.tx });
+    else if (c.action === "corrected" && c.transaction && byId.has(c.tx)) {
+      byId.set(c.tx, { ...c.transaction, id: c.tx, corrected: c.reason || "corrected" });
+    } else if (c.action === "voided" && byId.has(c.tx)) voidedBy.set(c.tx, c.reason || "voided");
+  });
+
+  const byDate = (a, b) => localDate(a.date) - localDate(b.date);
+  const all = [...byId.values()];
+  return {
+    transactions: all.filter((t) => !voidedBy.has(t.id)).sort(byDate),
+    voided: all.filter((t) => voidedBy.has(t.id)).map((t) => ({ ...t, voided: voidedBy.get(t.id) })).sort(byDate)
+  };
+}
+
+/**
+ * log: { settings: as first recorded (userSettings), changes }. Returns
+ * the current { settings, deleted }, `deleted` being the reason of a
+ * standing deletion, else null.
+ */
+function rebuildSettings(log) {
+  const undone = undoneChanges(log.changes);
+  const settings = structuredClone(log.settings);
+  let deleted = null;
+  log.changes.forEach((c, i) => {
+    if (undone.has(i + 1)) return;
+    if (c.action in SETTING_CHANGES) settings[SETTING_CHANGES[c.action]] = structuredClone(c.value);
+    else if (c.action === "deleted") deleted = c.reason || "deleted";
+  });
+  return { settings, deleted };
+}
+
+// Sets the user's transactions, settings and `deleted` from their log
+function replayChanges(user) {
+  const { settings, deleted } = rebuildSettings(user.changeLog);
+  Object.assign(user, settings);
+  if (!settings.policy) delete user.policy;
+  if (deleted) user.deleted = deleted;
+  else delete user.deleted;
+  user.transactions = rebuildTransactions(user.changeLog).transactions;
+}
+
+// The users still in the family: everyone but the deleted
+function activeUsers(users) {
+  return (users || []).filter((u) => !u.deleted);
+}
+
+// Number of user.transactions[idx]; before a log exists, its position
+function transactionId(user, idx) {
+  return user.transactions[idx].id || idx + 1;
+}
+
+/**
+ * Appends { action, reason, [tx], [undoes], [transaction], [value] } to
+ * the user's log, starting the log from the current transactions and
+ * settings if there is none, and replays it onto the user. An "added"
+ * change gets the next free number; a setting change keeps the value it
+ * replaces as `previous`. Returns the stored change.
+ */
+function recordChange(user, change, at = new Date()) {
+  if (!user.changeLog) {
+    user.changeLog = { base: user.transactions.map(txRecord), settings: userSettings(user), changes: [] };
+  }
+  const log = user.changeLog;
+  const entry = { at: at.toISOString(), action: change.action, reason: change.reason || "" };
+  if (change.action === "added") {
+    const added = log.changes.filter((c) => c.action === "added").map((c) => c.tx);
+    entry.tx = Math.max(log.base.length, ...added) + 1;
+  } else if (change.tx) {
+    entry.tx = change.tx;
+  }
+  if (change.undoes) entry.undoes = change.undoes;
+  if (change.transaction) entry.transaction = txRecord(change.transaction);
+  const key = SETTING_CHANGES[change.action];
+  if (key) {
+    entry.value = structuredClone(change.value === undefined ? null : change.value);
+    entry.previous = userSettings(user)[key];
+  }
+  log.changes.push(entry);
+  replayChanges(user);
+  return entry;
+}
+
+// Undoes change number n, or redoes it if it is undone (by reverting the
+// standing revert that undid it)
+function revertChange(user, n, reason, at = new Date()) {
+  const changes = user.changeLog.changes;
+  const undone = undoneChanges(changes);
+  let target = n;
+  if (undone.has(n)) {
+    for (let m = changes.length; m > n; m--) {
+      if (changes[m - 1].action === "reverted" && changes[m - 1].undoes === n && !undone.has(m)) {
+        target = m;
+        break;
+      }
+    }
+  }
+  return recordChange(user, { action: "reverted", undoes: target, reason }, at);
+}
+
+/* ----------------------------- Node export ----------------------------- */
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    readBankXML,
+    readBankJSON,
+    parseBankXML,
+    parseBankJSON,
+    parseBankRaw,
+    monthlyRateFromAPY,
+    iso,
+    startOfMonth,
+    endOfMonth,
+    firstDayNextMonth,
+    daysInMonth,
+    localDate,
+    isValidISODate,
+    isValidAmount,
+    rateBandFor,
+    apyForDateUser,
+    describeRate,
+    toCents,
+    fromCents,
+    roundCents,
+    creditInterest,
+    RECURRING_FREQUENCIES,
+    expandRecurring,
+    matchRows,
+    signedTransactions,
+    COMPOUNDING_MODES,
+    compoundingOf,
+    hasJars,
+    jarView,
+    dailyRateFromAPY,
+    interestForMonth,
+    policyKey,
+    computeInterestSchedule,
+    buildAugmentedTransactions,
+    historySeries,
+    filterHistory,
+    sortHistory,
+    categorySummary,
+    xmlEscape,
+    serializeBankXML,
+    serializeBankJSON,
+    validateBank,
+    rateBandProblems,
+    policyIssues,
+    formatIssue,
+    addMonths,
+    addDays,
+    recurringDates,
+    GOAL_HORIZON_MONTHS,
+    scenarioProjector,
+    projectScenario,
+    projectionMonthsUntil,
+    monthlyDepositNeeded,
+    goalProgress,
+    ratePeriods,
+    monthlyStatement,
+    spanSummary,
+    familyOverview,
+    familyBalanceSeries,
+    historyExportRows,
+    historyToCSV,
+    historyToJSON,
+    isValidPin,
+    hashPin,
+    verifyPin,
+    loginRole,
+    parseCSV,
+    csvImportRows,
+    SETTING_CHANGES,
+    CHANGE_ACTIONS,
+    userSettings,
+    undoneChanges,
+    rebuildTransactions,
+    rebuildSettings,
+    replayChanges,
+    activeUsers,
+    transactionId,
+    recordChange,
+    revertChange
+  };
+}
@@ -2,462 +2,946 @@
  * DaddyBank Kid's Bank App – now with on‑the‑fly monthly compounding interest
  * (c) 2025 Charles Danko
  *
- * Changes vs. prior draft:
- *  • Parse <interestRates> under EACH <user>.
- *  • All APY lookups use user.interestRates.
- *  • UI behavior unchanged: Balance shows accrued-to-today; History
- *    shows completed-month "Interest" rows; Projection page unchanged.
+ * Page/UI layer. Parsing, date helpers, APY lookup and the interest
+ * engine live in ledger.js (DOM-free, tested under Node).
  ********************************************************************/
 
 /* ---------------------------- Global State ---------------------------- */
 
 let usersData = [];   // [{ name, transactions:[{date,type,amount}], interestRates:[{startDate,endDate,rate}] }]
 let currentUser = null;
+let readOnly = false; // true when running from the offline cache
+let asOf = "";        // ISO date every view is computed as of; "" = live (today)
+let bankSettings = { parentPin: "" };   // <bank>-level settings from the XML
+let role = null;      // "child" (own account, read-only) | "parent" (every account + admin)
+let lockTimer = null;
+
+const AUTO_LOCK_MS = 5 * 60 * 1000;    // log out after 5 minutes without activity
+
+const DEFAULT_XML_URL = "https://www.dankolab.org/files/dbstatefile.xml";
+const SOURCE_KEY = "daddybank.source";   // localStorage: saved XML/JSON URL
+const CACHE_KEY = "daddybank.cache";     // localStorage: { source, savedAt, xml } (xml: the file text, XML or JSON)
 
 /* ----------------------------- Bootstrap ------------------------------ */
 
 window.onload = function () {
-  const xmlFileURL = "https://www.dankolab.org/files/dbstatefile.xml";
-
-  fetch(xmlFileURL)
-    .then((res) => {
-      if (!res.ok) throw new Error("Failed to fetch XML data.");
-      return res.text();
-    })
-    .then((xmlText) => {
-      const parser = new DOMParser();
-      const xmlDoc = parser.parseFromString(xmlText, "text/xml");
-      parseBankXML(xmlDoc);          // fills usersData with per-user interestRates
-      populateUserSelect(usersData);
-    })
-    .catch((err) => {
-      console.error("Error fetching/parsing XML:", err);
-      alert("Could not load user data from the XML file.");
-    });
+  document.getElementById("source-url").value = dataSourceURL();
+  loadFromURL(dataSourceURL());
 
   document.getElementById("login-button").addEventListener("click", handleLogin);
+  document.getElementById("user-select").addEventListener("change", updatePinField);
+  document.getElementById("login-pin").addEventListener("keydown", (e) => {
+    if (e.key === "Enter") handleLogin();
+  });
+  document.getElementById("logout-btn").addEventListener("click", () => logout());
+  document.getElementById("menu-user-select").addEventListener("change", (e) => openAccount(usersData[e.target.value]));
+  document.getElementById("menu-admin-btn").addEventListener("click", showAdmin);
+  document.getElementById("menu-family-btn").addEventListener("click", showFamily);
+  document.getElementById("family-from").addEventListener("change", renderFamilyTable);
+  ["click", "keydown", "mousemove", "touchstart"].forEach((type) =>
+    document.addEventListener(type, resetLockTimer, { passive: true }));
+  document.getElementById("as-of-date").addEventListener("change", (e) => setAsOf(e.target.value));
+  document.getElementById("as-of-today-btn").addEventListener("click", () => setAsOf(""));
+  document.getElementById("span-btn").addEventListener("click", renderSpanSummary);
   document.getElementById("balance-btn").addEventListener("click", showBalance);
   document.getElementById("history-btn").addEventListener("click", showHistory);
   document.getElementById("projection-btn").addEventListener("click", showProjection);
+  document.getElementById("statement-btn").addEventListener("click", showStatement);
+  document.getElementById("statement-month").addEventListener("change", renderStatement);
+  document.getElementById("statement-print-btn").addEventListener("click", () => window.print());
+  document.getElementById("statement-csv-btn").addEventListener("click", () => exportHistory("csv"));
+  document.getElementById("statement-json-btn").addEventListener("click", () => exportHistory("json"));
   document.getElementById("projection-update-btn").addEventListener("click", updateProjection);
+  document.getElementById("scenario-add-btn").addEventListener("click", addScenario);
+  document.getElementById("history-jar-select").addEventListener("change", (e) => {
+    historyJar = e.target.value;
+    historyPoints = null;
+    populateHistoryFilters();
+    renderTransactionTable();
+    renderHistoryGraph();
+  });
+  document.getElementById("history-view").addEventListener("change", (e) => {
+    historyView = e.target.value;
+    renderHistoryGraph();
+  });
+  document.getElementById("history-from").addEventListener("change", (e) => setHistoryRange(e.target.value, historyRange.to));
+  document.getElementById("history-to").addEventListener("change", (e) => setHistoryRange(historyRange.from, e.target.value));
+  document.getElementById("history-year-btn").addEventListener("click", () => {
+    const today = iso(viewDate());
+    setHistoryRange(`${today.slice(0, 4)}-01-01`, today);
+  });
+  document.getElementById("history-type-select").addEventListener("change", (e) => {
+    historyType = e.target.value;
+    renderTransactionTable();
+  });
+  document.getElementById("history-category-select").addEventListener("change", (e) => {
+    historyCategory = e.target.value;
+    renderTransactionTable();
+  });
+  document.querySelectorAll("#history-table th[data-sort]").forEach((th) => {
+    th.addEventListener("click", () => sortHistoryBy(th.dataset.sort));
+  });
+  document.getElementById("history-range-reset").addEventListener("click", () => setHistoryRange("", ""));
+  const graph = document.getElementById("history-graph");
+  graph.addEventListener("mousedown", onHistoryMouseDown);
+  graph.addEventListener("mousemove", onHistoryMouseMove);
+  graph.addEventListener("mouseup", onHistoryMouseUp);
+  graph.addEventListener("mouseleave", onHistoryMouseLeave);
+  window.addEventListener("resize", () => {
+    if (document.getElementById("history-section").style.display !== "none") renderHistoryGraph();
+    if (document.getElementById("family-section").style.display !== "none") renderFamilyGraph();
+  });
+  document.getElementById("source-save-btn").addEventListener("click", saveDataSource);
+  document.getElementById("source-reset-btn").addEventListener("click", resetDataSource);
+  document.getElementById("source-file").addEventListener("change", loadFromFile);
+  initAdmin();
 };
 
 /********************************************************************
- * 1) Parse XML (users, transactions, and per-user interestRates)
+ * 0) Data source: ?src= query parameter, saved setting, local file,
+ *    or the offline cache of the last clean load. Any of them may hold
+ *    the XML file or its JSON form; the text itself tells which.
  ********************************************************************/
-function parseBankXML(xmlDoc) {
-  const usersParent = xmlDoc.getElementsByTagName("users")[0];
-  const userNodes = usersParent ? usersParent.getElementsByTagName("user") : [];
-
-  for (let i = 0; i < userNodes.length; i++) {
-    const userNode = userNodes[i];
-
-    // name
-    const nameNode = userNode.getElementsByTagName("name")[0];
-    const userName = nameNode ? nameNode.textContent.trim() : `User ${i + 1}`;
-
-    // transactions
-    const transactions = [];
-    const transactionsParent = userNode.getElementsByTagName("transactions")[0];
-    if (transactionsParent) {
-      const txNodes = transactionsParent.getElementsByTagName("transaction");
-      for (let t = 0; t < txNodes.length; t++) {
-        const tx = txNodes[t];
-        const date = tx.getElementsByTagName("date")[0]?.textContent?.trim() || "";
-        const type = tx.getElementsByTagName("type")[0]?.textContent?.trim() || "";
-        const amountStr = tx.getElementsByTagName("amount")[0]?.textContent?.trim() || "0";
-        const amount = parseFloat(amountStr) || 0;
-        transactions.push({ date, type, amount });
-      }
-    }
-
-    // per-user interestRates
-    const interestRates = [];
-    const irContainer = userNode.getElementsByTagName("interestRates")[0];
-    if (irContainer) {
-      const rateNodes = irContainer.getElementsByTagName("interestRate");
-      for (let r = 0; r < rateNodes.length; r++) {
-        const node = rateNodes[r];
-        const startDate = node.getElementsByTagName("startDate")[0]?.textContent?.trim() || "";
-        const endDate = node.getElementsByTagName("endDate")[0]?.textContent?.trim() || "";
-        let rateVal = node.getElementsByTagName("rate")[0]?.textContent?.trim() || "0";
-        let rate = parseFloat(rateVal) || 0;
-        // Accept either 0.10 for 10% or 10 for 10%
-        if (rate > 1) rate = rate / 100;
-        interestRates.push({ startDate, endDate, rate });
-      }
-    }
-    interestRates.sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
-
-    usersData.push({ name: userName, transactions, interestRates });
-  }
+function storageGet(key) {
+  try { return localStorage.getItem(key); } catch (e) { return null; }
 }
-
-/********************************************************************
- * 2) UI: user select & login
- ********************************************************************/
-function populateUserSelect(users) {
-  const userSelect = document.getElementById("user-select");
-  userSelect.innerHTML = "";
-
-  if (!users || !users.length) {
-    const opt = document.createElement("option");
-    opt.value = "";
-    opt.textContent = "No users found";
-    userSelect.appendChild(opt);
-    return;
+function storageSet(key, value) {
+  try {
+    if (value === null) localStorage.removeItem(key);
+    else localStorage.setItem(key, value);
+  } catch (e) {
+    console.warn("localStorage unavailable:", e);
   }
-
-  users.forEach((u, idx) => {
-    const opt = document.createElement("option");
-    opt.value = idx;
-    opt.textContent = u.name;
-    userSelect.appendChild(opt);
-  });
 }
 
-function handleLogin() {
-  const idx = document.getElementById("user-select").value;
-  currentUser = usersData[idx];
-  if (!currentUser) {
-    alert("User not found. Please select a valid account.");
-    return;
-  }
-  document.getElementById("login-section").style.display = "none";
-  document.getElementById("main-menu").style.display = "block";
-  showBalance();
+// ?src=… wins over the saved setting, which wins over the lab copy
+function dataSourceURL() {
+  const fromQuery = new URLSearchParams(window.location.search).get("src");
+  return fromQuery || storageGet(SOURCE_KEY) || DEFAULT_XML_URL;
 }
 
-/********************************************************************
- * 3) Date/math helpers
- ********************************************************************/
-function monthlyRateFromAPY(apy) {
-  return Math.pow(1 + (apy || 0), 1 / 12) - 1;
+function loadFromURL(url) {
+  setSourceStatus(`Loading ${url}…`);
+  fetch(url, { cache: "no-cache" })
+    .then((res) => {
+      if (!res.ok) throw new Error(`Failed to fetch bank data (HTTP ${res.status}).`);
+      return res.text();
+    })
+    .then((text) => loadBankText(text, url))
+    .catch((err) => {
+      console.error("Error fetching/parsing bank data:", err);
+      if (!loadFromCache()) {
+        setSourceStatus(`Could not load ${url}.`, true);
+        alert("Could not load user data from the bank file.");
+      }
+    });
 }
-function iso(d) {
-  const pad = (n) => String(n).padStart(2, "0");
-  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+
+function loadFromFile(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+  file.text()
+    .then((text) => loadBankText(text, `local file ${file.name}`))
+    .catch((err) => {
+      console.error("Error reading local file:", err);
+      setSourceStatus(`Could not read ${file.name}.`, true);
+    });
 }
-function startOfMonth(d) {
-  return new Date(d.getFullYear(), d.getMonth(), 1);
+
+function loadFromCache() {
+  let cached = null;
+  try { cached = JSON.parse(storageGet(CACHE_KEY)); } catch (e) { cached = null; }
+  if (!cached || !cached.xml) return false;
+
+  loadBankText(cached.xml, cached.source, { fromCache: true });
+  const when = new Date(cached.savedAt).toLocaleString();
+  setSourceStatus(`Offline: showing the copy of ${cached.source} saved ${when} (read-only).`, true);
+  return true;
 }
-function endOfMonth(d) {
-  return new Date(d.getFullYear(), d.getMonth() + 1, 0);
+
+// JSON when the text starts with "{", XML otherwise -> raw records (ledger.js)
+function readBankText(text) {
+  if (/^\s*\{/.test(text)) return readBankJSON(text);
+  return readBankXML(new DOMParser().parseFromString(text, "text/xml"));
 }
-function firstDayNextMonth(d) {
-  return new Date(d.getFullYear(), d.getMonth() + 1, 1);
+
+function loadBankText(text, sourceLabel, { fromCache = false } = {}) {
+  const raw = readBankText(text);
+  const issues = validateBank(raw);
+  usersData = parseBankRaw(raw);   // users with per-user interestRates (ledger.js)
+  bankSettings = { parentPin: raw.parentPin || "" };
+  logout();
+  populateUserSelect(usersData);
+  showValidationReport(issues, policyIssues(activeUsers(usersData)));
+
+  readOnly = fromCache;
+  document.getElementById("admin-button").disabled = readOnly;
+  document.getElementById("menu-admin-btn").disabled = readOnly;
+
+  if (!fromCache) {
+    setSourceStatus(`Loaded ${sourceLabel}.`);
+    if (!issues.length) {
+      storageSet(CACHE_KEY, JSON.stringify({ source: sourceLabel, savedAt: new Date().toISOString(), xml: text }));
+    }
+  }
 }
-function daysInMonth(d) {
-  return endOfMonth(d).getDate();
+
+function saveDataSource() {
+  const url = document.getElementById("source-url").value.trim();
+  if (!url) return;
+  storageSet(SOURCE_KEY, url === DEFAULT_XML_URL ? null : url);
+  loadFromURL(url);
 }
-function localDate(isoStr) {
-  // "2025-06-01"  ->  2025-06-01T00:00 in local time
-  const [y, m, d] = isoStr.split("-").map(Number);
-  return new Date(y, m - 1, d);
+
+function resetDataSource() {
+  storageSet(SOURCE_KEY, null);
+  document.getElementById("source-url").value = DEFAULT_XML_URL;
+  loadFromURL(DEFAULT_XML_URL);
 }
 
-/********************************************************************
- * 4) APY lookup — per user
- ********************************************************************/
-function apyForDateUser(user, d) {
-  if (!user?.interestRates?.length) return 0;
-  for (const br of user.interestRates) {
-    const s = localDate(br.startDate);
-    const e = localDate(br.endDate);
-    if (s <= d && d <= e) return br.rate || 0;
-  }
-  return 0;
+function setSourceStatus(text, isError = false) {
+  const el = document.getElementById("source-status");
+  el.textContent = text;
+  el.className = isError ? "error" : "";
 }
 
 /********************************************************************
- * 5) Core engine: compute balances & interest schedule for a user
+ * 1) UI: user select, PIN login, roles, logout & auto-lock
+ *
+ * A child logs in to their own account (with its <pin>, if set) and
+ * can only read it. The parent PIN opens any account, the account
+ * switcher, the Family overview and Parent Admin. Without a
+ * <parentPin>, all of those are open to anyone, as before PINs existed
+ * (ledger.js loginRole).
  ********************************************************************/
-function computeInterestSchedule(user, today = new Date()) {
-  if (!user) {
-    return {
-      baseBalance: 0,
-      totalInterestCredited: 0,
-      accruedCurrentMonth: 0,
-      currentBalanceWithInterest: 0,
-      interestTx: [],
-      startBalThisMonth: 0,
-      nextMonthEstInterest: 0
-    };
-  }
-
-  // Normalize tx signs
-  const txSorted = [...user.transactions]
-    .map((t) => {
-      const ttype = (t.type || "").toLowerCase();
-      let signed = 0;
-      if (ttype === "deposit" || ttype === "credit") signed = +(parseFloat(t.amount) || 0);
-      else if (ttype === "withdrawal" || ttype === "debit") signed = -(parseFloat(t.amount) || 0);
-      return { date: t.date, type: t.type, amount: signed };
-    })
-    .sort((a, b) => new Date(a.date) - new Date(b.date));
-
-  if (!txSorted.length) {
-    return {
-      baseBalance: 0,
-      totalInterestCredited: 0,
-      accruedCurrentMonth: 0,
-      currentBalanceWithInterest: 0,
-      interestTx: [],
-      startBalThisMonth: 0,
-      nextMonthEstInterest: 0
-    };
-  }
-
-  const baseBalance = txSorted.reduce((s, t) => s + t.amount, 0);
-
-  const firstDeposit = txSorted.find((t) => t.amount > 0);
-  if (!firstDeposit) {
-    return {
-      baseBalance,
-      totalInterestCredited: 0,
-      accruedCurrentMonth: 0,
-      currentBalanceWithInterest: baseBalance,
-      interestTx: [],
-      startBalThisMonth: 0,
-      nextMonthEstInterest: 0
-    };
-  }
-
-  const clockStart = startOfMonth(new Date(firstDeposit.date));
-  const currentMonthStart = startOfMonth(today);
-  const lastFullMonthEnd = endOfMonth(new Date(today.getFullYear(), today.getMonth() - 1, 1));
-
-  function sumTxBetween(d1, d2) {
-    const a = new Date(d1), b = new Date(d2);
-    let s = 0;
-    for (const t of txSorted) {
-      const td = localDate(t.date);
-      if (a <= td && td <= b) s += t.amount;
-    }
-    return s;
-  }
-  function sumTxBefore(d) {
-    const b = new Date(d);
-    let s = 0;
-    for (const t of txSorted) {
-      const td = localDate(t.date);
-      if (td < b) s += t.amount;
-    }
-    return s;
-  }
-
-  let runningStartBal = sumTxBefore(clockStart);
-  let totalInterestCredited = 0;
-  const interestTx = [];
-
-  // Completed months
-  let mStart = new Date(clockStart);
-  while (mStart <= lastFullMonthEnd) {
-    const apy = apyForDateUser(user, mStart);
-    const mRate = monthlyRateFromAPY(apy);
-    const interest = runningStartBal * mRate;
-
-    const mEnd = endOfMonth(mStart);
-    if (interest !== 0) {
-      interestTx.push({
-        date: iso(mEnd),
-        type: "Interest",
-        amount: +interest
-      });
+function populateUserSelect(users) {
+  const selects = [document.getElementById("user-select"), document.getElementById("menu-user-select")];
+  selects.forEach((userSelect) => {
+    userSelect.innerHTML = "";
+
+    if (!activeUsers(users).length) {
+      const opt = document.createElement("option");
+      opt.value = "";
+      opt.textContent = "No users found";
+      userSelect.appendChild(opt);
+      return;
     }
-    totalInterestCredited += interest;
 
-    const monthTx = sumTxBetween(mStart, mEnd);
-    runningStartBal = runningStartBal + interest + monthTx;
-
-    mStart = firstDayNextMonth(mStart);
-  }
+    // Deleted users keep their place in usersData but are not offered
+    users.forEach((u, idx) => {
+      if (u.deleted) return;
+      const opt = document.createElement("option");
+      opt.value = idx;
+      opt.textContent = u.name;
+      userSelect.appendChild(opt);
+    });
+  });
+  updatePinField();
+}
 
-  const startBalThisMonth = runningStartBal;
+// The PIN box shows when the chosen account or Parent Admin needs one
+function updatePinField() {
+  const user = usersData[document.getElementById("user-select").value];
+  const needed = !!(user && user.pin) || hasParentPin();
+  document.getElementById("login-pin-field").style.display = needed ? "inline" : "none";
+}
 
-  // Partial accrual for current month
-  const apyCurrent = apyForDateUser(user, currentMonthStart);
-  const mRateCurrent = monthlyRateFromAPY(apyCurrent);
-  const fullMonthInterestCurrent = startBalThisMonth * mRateCurrent;
+// A malformed <parentPin> is reported by validation and does not lock admin
+function hasParentPin() {
+  return PIN_HASH_RE.test(bankSettings.parentPin || "");
+}
 
-  const dim = daysInMonth(currentMonthStart);
-  const elapsedDays = Math.min(dim, today.getDate());
-  const accruedCurrentMonth = fullMonthInterestCurrent * (elapsedDays / dim);
+function loginMessage(text, isError = false) {
+  const el = document.getElementById("login-message");
+  el.textContent = text;
+  el.className = isError ? "error" : "";
+}
 
-  const monthTxToDate = sumTxBetween(currentMonthStart, today);
+function openAccount(user) {
+  currentUser = user;
+  projectionScenarios = defaultScenarios();
+  historyRange = { from: "", to: "" };
+  historyType = "";
+  historyCategory = "all";
+  document.getElementById("menu-user-select").value = usersData.indexOf(user);
+  document.getElementById("login-section").style.display = "none";
+  document.getElementById("main-menu").style.display = "block";
+  showBalance();
+}
 
-  const currentBalanceWithInterest =
-    startBalThisMonth + monthTxToDate + accruedCurrentMonth;
+function logout(message = "") {
+  clearTimeout(lockTimer);
+  currentUser = null;
+  role = null;
+  hideAllSections();
+  document.getElementById("main-menu").style.display = "none";
+  document.getElementById("admin-section").style.display = "none";
+  document.getElementById("login-section").style.display = "block";
+  document.getElementById("login-pin").value = "";
+  loginMessage(message);
+}
 
-  // Next month estimate (assumes no more tx this month)
-  const predictedStartNextMonth =
-    startBalThisMonth + fullMonthInterestCurrent + monthTxToDate;
+function resetLockTimer() {
+  clearTimeout(lockTimer);
+  if (!role) return;
+  lockTimer = setTimeout(() => logout("Locked after 5 minutes without activity."), AUTO_LOCK_MS);
+}
 
-  const nextMonthStart = firstDayNextMonth(currentMonthStart);
-  const apyNext = apyForDateUser(user, nextMonthStart);
-  const nextMonthlyRate = monthlyRateFromAPY(apyNext);
-  const nextMonthEstInterest = predictedStartNextMonth * nextMonthlyRate;
+function setRole(newRole) {
+  role = newRole;
+  document.getElementById("parent-tools").style.display = role === "parent" ? "inline" : "none";
+  resetLockTimer();
+}
 
-  return {
-    baseBalance,
-    totalInterestCredited,
-    accruedCurrentMonth,
-    currentBalanceWithInterest,
-    interestTx,
-    startBalThisMonth,
-    nextMonthEstInterest
+/* Problems found in the XML block login so nobody sees wrong balances;
+   Parent Admin stays available to fix them and export a corrected file.
+   Withdrawal-policy notices are listed too but never block login. */
+function showValidationReport(issues, notices = []) {
+  const fill = (sectionId, listId, items) => {
+    const list = document.getElementById(listId);
+    list.innerHTML = "";
+    items.forEach((issue) => {
+      const li = document.createElement("li");
+      li.textContent = formatIssue(issue);
+      list.appendChild(li);
+    });
+    document.getElementById(sectionId).style.display = items.length ? "block" : "none";
   };
+  fill("validation-report", "validation-list", issues);
+  fill("policy-report", "policy-list", notices);
+  document.getElementById("login-button").disabled = issues.length > 0;
+}
+
+function handleLogin() {
+  const idx = document.getElementById("user-select").value;
+  const user = usersData[idx];
+  if (!user) {
+    alert("User not found. Please select a valid account.");
+    return;
+  }
+  const pin = document.getElementById("login-pin").value.trim();
+  loginRole(pin, user, bankSettings.parentPin)
+    .then((newRole) => {
+      if (!newRole) {
+        loginMessage(pin ? "Wrong PIN." : `Enter ${user.name}'s PIN.`, true);
+        return;
+      }
+      document.getElementById("login-pin").value = "";
+      loginMessage("");
+      setRole(newRole);
+      openAccount(user);
+    })
+    .catch((err) => {
+      console.error("PIN check failed:", err);
+      loginMessage("Could not check the PIN in this browser.", true);
+    });
 }
 
 /********************************************************************
- * 6) Balance view
+ * 2) Balance view
  ********************************************************************/
 function showBalance() {
   hideAllSections();
   document.getElementById("balance-section").style.display = "block";
 
-  const sched = computeInterestSchedule(currentUser);
+  const today = viewDate();
+  const sched = computeInterestSchedule(currentUser, today);
   const currentBalance = sched.currentBalanceWithInterest;
 
-  const todayAPY = apyForDateUser(currentUser, new Date());
+  const todayRate = describeRate(rateBandFor(currentUser, today));
 
-  const details = `Current Balance: $${currentBalance.toFixed(2)}<br>
-Current Interest Rate: ${(todayAPY * 100).toFixed(2)}%`;
+  let details = `Current Balance: $${currentBalance.toFixed(2)}<br>`;
+  if (sched.accruedCurrentMonth) {
+    // History shows credited rows only; this keeps the two reconcilable
+    const creditDate = endOfMonth(today).toLocaleDateString();
+    details += `&nbsp;&nbsp;includes $${sched.accruedCurrentMonth.toFixed(2)} interest accrued this month, ` +
+      `credited ${creditDate}<br>`;
+  }
+  if (hasJars(currentUser)) {
+    // One line per jar; each jar may earn its own rate
+    sched.jars.forEach((jarSched, idx) => {
+      const jarRate = describeRate(rateBandFor(jarView(currentUser, currentUser.jars[idx]), today));
+      details += `&nbsp;&nbsp;${escapeHTML(jarSched.name)}: $${jarSched.currentBalanceWithInterest.toFixed(2)} ` +
+        `(${jarRate})<br>`;
+    });
+  } else {
+    details += `Current Interest Rate: ${todayRate}<br>`;
+  }
+  details += `Interest Method: ${COMPOUNDING_MODES[compoundingOf(currentUser)]}`;
   document.getElementById("balance-details").innerHTML = details;
 
   document.getElementById("total-interest").textContent =
-    `Total Interest Earned: $${(sched.totalInterestCredited + sched.accruedCurrentMonth).toFixed(2)}`;
+    `Total Interest Earned: $${fromCents(toCents(sched.totalInterestCredited) + toCents(sched.accruedCurrentMonth)).toFixed(2)}`;
 
   document.getElementById("next-month-interest").textContent =
     `Next Month's Interest (est.): $${sched.nextMonthEstInterest.toFixed(2)}`;
+
+  renderGoals();
+  renderSpanSummary();
+}
+
+// Deposits, withdrawals and interest between two dates (default: the month up to the as-of date)
+function renderSpanSummary() {
+  const fromInput = document.getElementById("span-from");
+  const toInput = document.getElementById("span-to");
+  if (!toInput.value) toInput.value = iso(viewDate());
+  if (!fromInput.value) fromInput.value = iso(addMonths(localDate(toInput.value), -1));
+
+  const container = document.getElementById("span-summary");
+  if (!isValidISODate(fromInput.value) || !isValidISODate(toInput.value)) {
+    container.innerHTML = `<p class="error">Pick two dates to compare.</p>`;
+    return;
+  }
+
+  const span = spanSummary(currentUser, localDate(fromInput.value), localDate(toInput.value));
+  const money = (v) => `$${v.toFixed(2)}`;
+  const day = (isoStr) => localDate(isoStr).toLocaleDateString();
+  container.innerHTML = `<table class="statement-table statement-summary"><tbody>` +
+    `<tr><th>Balance on ${day(span.from)}</th><td>${money(span.openingBalance)}</td></tr>` +
+    `<tr><th>Deposits</th><td>${money(span.deposits)}</td></tr>` +
+    `<tr><th>Withdrawals</th><td>${money(span.withdrawals)}</td></tr>` +
+    `<tr><th>Interest earned</th><td>${money(span.interest)}</td></tr>` +
+    `<tr><th>Balance on ${day(span.to)}</th><td>${money(span.closingBalance)}</td></tr>` +
+    `<tr><th>Change</th><td>${span.net < 0 ? "−" : "+"}${money(Math.abs(span.net))}</td></tr>` +
+    `</tbody></table>`;
+}
+
+function renderGoals() {
+  const container = document.getElementById("goals");
+  container.innerHTML = "";
+  const goals = currentUser.goals || [];
+  document.getElementById("goals-heading").style.display = goals.length ? "block" : "none";
+
+  const monthYear = (d) => d.toLocaleDateString(undefined, { month: "short", year: "numeric" });
+
+  goals.forEach((goal) => {
+    const p = goalProgress(currentUser, goal, viewDate());
+    const div = document.createElement("div");
+    div.className = "goal";
+
+    const title = document.createElement("div");
+    title.className = "goal-title";
+    title.textContent = `${goal.name}: $${p.balance.toFixed(2)} of $${(+goal.target).toFixed(2)} (${Math.floor(p.fraction * 100)}%)`;
+
+    const bar = document.createElement("div");
+    bar.className = "goal-bar";
+    const fill = document.createElement("div");
+    fill.className = "goal-fill" + (p.reached ? " reached" : "");
+    fill.style.width = `${(p.fraction * 100).toFixed(1)}%`;
+    bar.appendChild(fill);
+
+    const eta = document.createElement("div");
+    eta.className = "goal-eta";
+    const lines = [];
+    if (p.reached) lines.push("Goal reached!");
+    else if (p.etaDate) lines.push(`Projected to reach: ${monthYear(p.etaDate)} (${p.monthsToGoal} months)`);
+    else lines.push(`Not projected to reach this goal within ${GOAL_HORIZON_MONTHS / 12} years without more deposits; keep saving!`);
+
+    if (p.monthsToTargetDate !== null && p.shortfallAtTargetDate === null) {
+      lines.push(`${goal.targetDate} is too far ahead to project.`);
+    } else if (p.shortfallAtTargetDate !== null) {
+      if (p.shortfallAtTargetDate === 0) lines.push(`On track for ${goal.targetDate}.`);
+      else if (p.monthlyNeeded !== null) lines.push(`To reach it by ${goal.targetDate}: deposit $${p.monthlyNeeded.toFixed(2)} extra each month.`);
+      else lines.push(`To reach it by ${goal.targetDate}: deposit $${p.shortfallAtTargetDate.toFixed(2)} more before then.`);
+    }
+    eta.innerHTML = lines.join("<br>");
+
+    div.appendChild(title);
+    div.appendChild(bar);
+    div.appendChild(eta);
+    container.appendChild(div);
+  });
 }
 
 /********************************************************************
- * 7) History view
+ * 3) History view
  ********************************************************************/
+let historyJar = "";   // "" = all jars combined
+
 function showHistory() {
   hideAllSections();
   document.getElementById("history-section").style.display = "block";
 
+  const filter = document.getElementById("history-jar-filter");
+  const select = document.getElementById("history-jar-select");
+  filter.style.display = hasJars(currentUser) ? "block" : "none";
+  if (hasJars(currentUser)) {
+    select.innerHTML = "";
+    [{ name: "" }, ...currentUser.jars].forEach((jar) => {
+      const opt = document.createElement("option");
+      opt.value = jar.name;
+      opt.textContent = jar.name || "All jars";
+      select.appendChild(opt);
+    });
+    if (!currentUser.jars.some((jar) => jar.name === historyJar)) historyJar = "";
+    select.value = historyJar;
+  } else {
+    historyJar = "";
+  }
+  document.getElementById("history-view").value = historyView;
+  document.getElementById("history-from").value = historyRange.from;
+  document.getElementById("history-to").value = historyRange.to;
+  populateHistoryFilters();
+
+  historyPoints = null;
   renderTransactionTable();
   renderHistoryGraph();
 }
 
-function buildAugmentedTransactions(includeFuture = false) {
-  if (!currentUser) return [];
-  const { interestTx } = computeInterestSchedule(currentUser);
-  const today = new Date();
+function historyRows() {
+  return asOfRows(buildAugmentedTransactions(currentUser, viewDate(), false, historyJar || null));
+}
 
-  const userTx = currentUser.transactions.map((t) => {
-    const ttype = (t.type || "").toLowerCase();
-    let signed = 0;
-    if (ttype === "deposit" || ttype === "credit") signed = +(parseFloat(t.amount) || 0);
-    else if (ttype === "withdrawal" || ttype === "debit") signed = -(parseFloat(t.amount) || 0);
-    return { date: t.date, type: t.type, amount: signed };
-  });
+// Small grey labels after the type: recurring rule, jar, transfer route,
+// withdrawal-policy notes, change-log reasons
+function rowTags(t) {
+  const tags = [];
+  if (t.voided) tags.push(`voided $${Math.abs(t.requested || t.moved || 0).toFixed(2)}: ${t.voided}`);
+  else if (t.corrected) tags.push(`corrected: ${t.corrected}`);
+  if (t.rejected) tags.push(`rejected $${Math.abs(t.requested).toFixed(2)}: ${t.policy}`);
+  else if (t.policy) tags.push(t.policy);
+  if (t.rule) tags.push(t.rule);
+  const ttype = (t.type || "").toLowerCase();
+  if (ttype === "transfer") tags.push(`${t.from} → ${t.to}, $${t.moved.toFixed(2)}`);
+  else if (ttype === "transfer out") tags.push(`to ${t.to}`);
+  else if (ttype === "transfer in") tags.push(`from ${t.from}`);
+  else if (t.jar && !historyJar) tags.push(t.jar);
+  return tags;
+}
 
-  const finalizedInterest = interestTx.filter((it) => {
-    if (includeFuture) return true;
-    return localDate(it.date) <= today;
-  }).map((it) => ({ date: it.date, type: "Interest", amount: it.amount }));
+// Table filters (the date range is shared with the chart) and sort order
+let historyType = "";            // "" = all types
+let historyCategory = "all";     // "all" | "none" | "cat:<name>"
+let historySort = { key: "date", dir: "asc" };
+
+function historyFilter() {
+  return {
+    type: historyType || null,
+    category: historyCategory === "all" ? null : historyCategory === "none" ? "" : historyCategory.slice(4),
+    from: historyRange.from || null,
+    to: historyRange.to || null
+  };
+}
+
+// Rebuild the type/category choices from the rows on show or jar change
+function populateHistoryFilters() {
+  const rows = historyRows();
+  const fill = (select, options, current) => {
+    select.innerHTML = "";
+    options.forEach(([value, label]) => {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.textContent = label;
+      select.appendChild(opt);
+    });
+    select.value = options.some(([value]) => value === current) ? current : options[0][0];
+    return select.value;
+  };
+
+  const types = [...new Set(rows.map((r) => r.type.toLowerCase()))].sort();
+  historyType = fill(document.getElementById("history-type-select"),
+    [["", "All types"], ...types.map((t) => [t, t])], historyType);
+
+  const categories = [...new Set(rows.map((r) => r.category).filter(Boolean))].sort();
+  historyCategory = fill(document.getElementById("history-category-select"),
+    [["all", "All categories"], ...categories.map((c) => [`cat:${c}`, c]), ["none", "Uncategorized"]], historyCategory);
+}
 
-  const all = [...userTx, ...finalizedInterest];
-  all.sort((a, b) => localDate(a.date) - localDate(b.date));
-  return all;
+function sortHistoryBy(key) {
+  historySort = {
+    key,
+    dir: historySort.key === key && historySort.dir === "asc" ? "desc" : "asc"
+  };
+  renderTransactionTable();
 }
 
 function renderTransactionTable() {
   const tbody = document.querySelector("#history-table tbody");
   tbody.innerHTML = "";
-  if (!currentUser) return;
+  document.querySelectorAll("#history-table th[data-sort]").forEach((th) => {
+    th.className = th.dataset.sort === historySort.key ? `sorted-${historySort.dir}` : "";
+  });
+  if (!currentUser) return renderCategorySummary([]);
 
-  const rows = buildAugmentedTransactions(false);
-  rows.forEach((t) => {
+  const filtered = filterHistory(historyRows(), historyFilter());
+  sortHistory(filtered, historySort.key, historySort.dir).forEach((t) => {
     const tr = document.createElement("tr");
+    if (t.voided) tr.className = "tx-voided";
+    else if (t.policy) tr.className = t.rejected ? "tx-rejected" : "tx-flagged";
 
     const tdDate = document.createElement("td");
     tdDate.textContent = t.date;
 
     const tdType = document.createElement("td");
     tdType.textContent = t.type;
+    rowTags(t).forEach((text) => {
+      const tag = document.createElement("span");
+      tag.className = "tx-tag";
+      tag.textContent = text;
+      tdType.appendChild(tag);
+    });
+
+    const tdCategory = document.createElement("td");
+    tdCategory.textContent = t.category || "";
+
+    const tdMemo = document.createElement("td");
+    tdMemo.textContent = t.memo || "";
 
     const tdAmt = document.createElement("td");
-    tdAmt.textContent = (Math.round(t.amount * 100) / 100).toFixed(2);
+    tdAmt.textContent = t.amount.toFixed(2);
 
     tr.appendChild(tdDate);
     tr.appendChild(tdType);
+    tr.appendChild(tdCategory);
+    tr.appendChild(tdMemo);
     tr.appendChild(tdAmt);
     tbody.appendChild(tr);
   });
+  if (!filtered.length) {
+    tbody.innerHTML = `<tr><td colspan="5">No transactions match these filters.</td></tr>`;
+  }
+  renderCategorySummary(filtered);
+}
+
+function renderCategorySummary(rows) {
+  const tbody = document.querySelector("#category-summary tbody");
+  tbody.innerHTML = "";
+  categorySummary(rows).forEach((s) => {
+    const tr = document.createElement("tr");
+    [s.category || "Uncategorized", s.count, s.inflow.toFixed(2), s.outflow.toFixed(2), s.net.toFixed(2)]
+      .forEach((text) => {
+        const td = document.createElement("td");
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+    tbody.appendChild(tr);
+  });
 }
 
-/* Simple canvas line chart */
+/* Interactive canvas chart: balance line or stacked principal/interest,
+   hover tooltips, and a date range from the inputs or by dragging */
+let historyView = "balance";               // "balance" | "stacked"
+let historyRange = { from: "", to: "" };   // inclusive ISO dates, "" = open
+let historyPoints = null;                  // historySeries for the user, jar and range; null = stale
+let historyChart = null;                   // last drawn { points, left, w, h, top, x, y, xToDate, base }
+let historyHover = null;                   // ISO date under the mouse
+let historyDrag = null;                    // { start, end } canvas x while dragging a range
+
+const HISTORY_PAD = { left: 60, right: 10, top: 10, bottom: 25 };
+
+function setHistoryRange(from, to) {
+  if (from && to && from > to) [from, to] = [to, from];
+  historyRange = { from: from || "", to: to || "" };
+  document.getElementById("history-from").value = historyRange.from;
+  document.getElementById("history-to").value = historyRange.to;
+  historyHover = null;
+  historyPoints = null;
+  renderTransactionTable();
+  renderHistoryGraph();
+}
+
+/* Draws the chart from historyPoints (worked out again only after
+   historyPoints = null) and keeps a copy of it, so hovering and dragging
+   just redraw their overlay on that copy */
 function renderHistoryGraph() {
-  if (!currentUser) return;
   const canvas = document.getElementById("history-graph");
-  const ctx = canvas.getContext("2d");
-  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  const { ctx, width, height } = sizeCanvas(canvas);
+  ctx.clearRect(0, 0, width, height);
+  historyChart = null;
+  if (!currentUser) return hideHistoryTooltip();
+
+  if (!historyPoints) historyPoints = historySeries(historyRows(), historyRange.from || null, historyRange.to || null);
+  const points = historyPoints;
+  if (!points.length) {
+    ctx.fillStyle = "#666";
+    ctx.font = "12px sans-serif";
+    ctx.fillText("No transactions in this range.", HISTORY_PAD.left, HISTORY_PAD.top + 20);
+    return hideHistoryTooltip();
+  }
 
-  const rows = buildAugmentedTransactions(false);
-  if (!rows.length) return;
+  const stacked = historyView === "stacked";
+  const values = stacked
+    ? points.flatMap((p) => [0, p.principal, p.balance])
+    : points.map((p) => p.balance);
+  const ticks = niceTicks(Math.min(...values), Math.max(...values), 5);
+  const minBal = ticks[0], maxBal = ticks[ticks.length - 1];
+  const minDate = localDate(points[0].date).getTime();
+  const maxDate = localDate(points[points.length - 1].date).getTime();
 
-  let bal = 0;
-  const dataPoints = [];
-  rows.forEach((r) => {
-   bal += r.amount;
-   dataPoints.push({ date: localDate(r.date), balance: bal });
-  });
+  const { left, right, top, bottom } = HISTORY_PAD;
+  const w = width - left - right;
+  const h = height - top - bottom;
 
-  const minDate = dataPoints[0].date.getTime();
-  const maxDate = dataPoints[dataPoints.length - 1].date.getTime();
-  const minBal = Math.min(...dataPoints.map((d) => d.balance));
-  const maxBal = Math.max(...dataPoints.map((d) => d.balance));
+  function x(date) {
+    if (maxDate === minDate) return left;
+    return left + ((localDate(date).getTime() - minDate) / (maxDate - minDate)) * w;
+  }
+  function y(v) {
+    return top + h - ((v - minBal) / (maxBal - minBal)) * h;
+  }
+  function xToDate(X) {
+    const frac = Math.min(1, Math.max(0, (X - left) / (w || 1)));
+    return iso(new Date(minDate + frac * (maxDate - minDate)));
+  }
+  historyChart = { points, left, w, h, top, x, y, xToDate, base: null };
 
-  const left = 50, right = 10, top = 10, bottom = 25;
-  const w = canvas.width - left - right;
-  const h = canvas.height - top - bottom;
+  // gridlines with balance and date labels
+  ctx.font = "12px sans-serif";
+  ctx.lineWidth = 1;
+  ticks.forEach((v) => {
+    const Y = Math.round(y(v)) + 0.5;
+    ctx.strokeStyle = "#eee";
+    ctx.beginPath(); ctx.moveTo(left, Y); ctx.lineTo(left + w, Y); ctx.stroke();
+    ctx.fillStyle = "#000";
+    ctx.textAlign = "right";
+    ctx.fillText(v.toFixed(2), left - 5, Y + 4);
+  });
+  const dateTicks = maxDate === minDate ? [0] : [0, 0.25, 0.5, 0.75, 1];
+  dateTicks.forEach((frac) => {
+    const X = Math.round(left + frac * w) + 0.5;
+    ctx.strokeStyle = "#eee";
+    ctx.beginPath(); ctx.moveTo(X, top); ctx.lineTo(X, top + h); ctx.stroke();
+    ctx.fillStyle = "#000";
+    ctx.textAlign = frac === 0 ? "left" : frac === 1 ? "right" : "center";
+    ctx.fillText(localDate(xToDate(X)).toLocaleDateString(), X, top + h + 15);
+  });
+  ctx.textAlign = "left";
 
   // axes
   ctx.strokeStyle = "#000";
-  ctx.lineWidth = 1;
   ctx.beginPath(); ctx.moveTo(left, top); ctx.lineTo(left, top + h); ctx.stroke();
   ctx.beginPath(); ctx.moveTo(left, top + h); ctx.lineTo(left + w, top + h); ctx.stroke();
 
-  function x(d) {
-    if (maxDate === minDate) return left;
-    return left + ((d - minDate) / (maxDate - minDate)) * w;
-  }
-  function y(v) {
-    if (maxBal === minBal) return top + h;
-    return top + h - ((v - minBal) / (maxBal - minBal)) * h;
+  if (stacked) {
+    const base = y(Math.min(Math.max(0, minBal), maxBal));
+    const last = points[points.length - 1];
+
+    // principal from zero, interest stacked on top of it
+    ctx.fillStyle = "rgba(0, 123, 255, 0.35)";
+    ctx.beginPath();
+    ctx.moveTo(x(points[0].date), base);
+    points.forEach((p) => ctx.lineTo(x(p.date), y(p.principal)));
+    ctx.lineTo(x(last.date), base);
+    ctx.closePath();
+    ctx.fill();
+
+    ctx.fillStyle = "rgba(0, 128, 0, 0.35)";
+    ctx.beginPath();
+    points.forEach((p, i) => {
+      if (i === 0) ctx.moveTo(x(p.date), y(p.balance)); else ctx.lineTo(x(p.date), y(p.balance));
+    });
+    [...points].reverse().forEach((p) => ctx.lineTo(x(p.date), y(p.principal)));
+    ctx.closePath();
+    ctx.fill();
+
+    drawHistoryLegend(ctx, left + 10, top + 5, [
+      ["rgba(0, 123, 255, 0.6)", "Principal"],
+      ["rgba(0, 128, 0, 0.6)", "Interest earned"]
+    ]);
   }
 
   ctx.beginPath();
   ctx.lineWidth = 2;
   ctx.strokeStyle = "#007bff";
-  dataPoints.forEach((p, i) => {
-    const X = x(p.date.getTime()), Y = y(p.balance);
+  points.forEach((p, i) => {
+    const X = x(p.date), Y = y(p.balance);
     if (i === 0) ctx.moveTo(X, Y); else ctx.lineTo(X, Y);
   });
   ctx.stroke();
 
-  ctx.fillStyle = "#000";
-  ctx.font = "12px sans-serif";
-  ctx.fillText(dataPoints[0].date.toLocaleDateString(), left, top + h + 15);
-  ctx.fillText(dataPoints[dataPoints.length - 1].date.toLocaleDateString(), left + w - 80, top + h + 15);
-  ctx.fillText(minBal.toFixed(2), 5, top + h);
-  ctx.fillText(maxBal.toFixed(2), 5, top + 10);
+  historyChart.base = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  drawHistoryOverlay();
+}
+
+// Hovered date and the range being dragged, over the last drawn chart
+function drawHistoryOverlay() {
+  if (!historyChart) return;
+  const ctx = document.getElementById("history-graph").getContext("2d");
+  const { points, left, w, h, top, x, y } = historyChart;
+  ctx.putImageData(historyChart.base, 0, 0);
+
+  const hovered = historyHover && points.filter((p) => p.date === historyHover).pop();
+  if (hovered) {
+    const X = x(hovered.date), Y = y(hovered.balance);
+    ctx.strokeStyle = "#999";
+    ctx.lineWidth = 1;
+    ctx.beginPath(); ctx.moveTo(X, top); ctx.lineTo(X, top + h); ctx.stroke();
+    ctx.fillStyle = "#007bff";
+    ctx.beginPath(); ctx.arc(X, Y, 4, 0, 2 * Math.PI); ctx.fill();
+  }
+
+  // range being dragged
+  if (historyDrag) {
+    const a = Math.max(left, Math.min(historyDrag.start, historyDrag.end));
+    const b = Math.min(left + w, Math.max(historyDrag.start, historyDrag.end));
+    ctx.fillStyle = "rgba(0, 0, 0, 0.08)";
+    ctx.fillRect(a, top, b - a, h);
+  }
+}
+
+function drawHistoryLegend(ctx, X, Y, entries) {
+  entries.forEach(([color, label], i) => {
+    ctx.fillStyle = color;
+    ctx.fillRect(X, Y + i * 16, 10, 10);
+    ctx.fillStyle = "#000";
+    ctx.fillText(label, X + 15, Y + i * 16 + 10);
+  });
+}
+
+function historyMouseX(e) {
+  const canvas = e.target;
+  return e.clientX - canvas.getBoundingClientRect().left - canvas.clientLeft;
+}
+
+function onHistoryMouseDown(e) {
+  if (!historyChart) return;
+  const X = historyMouseX(e);
+  historyDrag = { start: X, end: X };
+}
+
+function onHistoryMouseMove(e) {
+  if (!historyChart) return;
+  const X = historyMouseX(e);
+  if (historyDrag) {
+    historyDrag.end = X;
+    hideHistoryTooltip();
+    drawHistoryOverlay();
+    return;
+  }
+
+  // nearest point by x; rows on the same date share one tooltip
+  let nearest = historyChart.points[0];
+  historyChart.points.forEach((p) => {
+    if (Math.abs(historyChart.x(p.date) - X) < Math.abs(historyChart.x(nearest.date) - X)) nearest = p;
+  });
+  if (nearest.date !== historyHover) {
+    historyHover = nearest.date;
+    drawHistoryOverlay();
+  }
+  showHistoryTooltip(nearest.date);
+}
+
+function onHistoryMouseUp() {
+  if (!historyDrag) return;
+  const { start, end } = historyDrag;
+  historyDrag = null;
+  if (Math.abs(end - start) < 5) return drawHistoryOverlay();
+  setHistoryRange(historyChart.xToDate(start), historyChart.xToDate(end));
+}
+
+function onHistoryMouseLeave() {
+  historyDrag = null;
+  historyHover = null;
+  hideHistoryTooltip();
+  drawHistoryOverlay();
+}
+
+function showHistoryTooltip(date) {
+  const onDate = historyChart.points.filter((p) => p.date === date);
+  const last = onDate[onDate.length - 1];
+  const lines = onDate.map((p) => {
+    if (!p.row) return "Opening balance";
+    const tags = rowTags(p.row);
+    const label = escapeHTML(p.row.type + (tags.length ? ` (${tags.join(", ")})` : ""));
+    const sign = p.row.amount < 0 ? "−" : "+";
+    return `${label}: ${sign}$${Math.abs(p.row.amount).toFixed(2)}`;
+  });
+  lines.push(`<strong>Balance: $${last.balance.toFixed(2)}</strong>`);
+  if (historyView === "stacked") {
+    lines.push(`Principal $${last.principal.toFixed(2)} · Interest $${last.interest.toFixed(2)}`);
+  }
+
+  const tip = document.getElementById("history-tooltip");
+  tip.innerHTML = `<strong>${localDate(date).toLocaleDateString()}</strong><br>${lines.join("<br>")}`;
+  tip.style.display = "block";
+
+  // beside the point, flipped to the left near the right edge
+  const X = historyChart.x(date), Y = historyChart.y(last.balance);
+  const chartWidth = historyChart.left + historyChart.w;
+  tip.style.left = (X + 12 + tip.offsetWidth > chartWidth ? X - 12 - tip.offsetWidth : X + 12) + "px";
+  tip.style.top = Math.max(0, Y - 10) + "px";
+}
+
+function hideHistoryTooltip() {
+  document.getElementById("history-tooltip").style.display = "none";
 }
 
 /********************************************************************
- * 8) Projection (unchanged visuals; uses user's APY for "today")
+ * 4) Projection: follows the user's scheduled rate bands and compounding;
+ *    each scenario adds a recurring deposit/withdrawal (ledger.js)
  ********************************************************************/
+const SCENARIO_COLORS = ["green", "#007bff", "#e67e22", "#8e44ad", "#c0392b", "#16a085"];
+
+let projectionScenarios = [];   // [{ name, recurring: { amount (signed), frequency } | null }]
+
+function defaultScenarios() {
+  return [{ name: "No extra deposits", recurring: null }];
+}
+
 function showProjection() {
   hideAllSections();
   document.getElementById("projection-section").style.display = "block";
+  if (!projectionScenarios.length) projectionScenarios = defaultScenarios();
+  renderScenarioList();
+  updateProjection();
+}
+
+function addScenario() {
+  const type = document.getElementById("scenario-type").value;
+  const amountStr = document.getElementById("scenario-amount").value.trim();
+  const frequency = document.getElementById("scenario-frequency").value;
+  if (!isValidAmount(amountStr)) {
+    alert("Enter a positive amount with at most two decimals.");
+    return;
+  }
+
+  const amount = parseFloat(amountStr);
+  const per = { weekly: "week", biweekly: "2 weeks", monthly: "month" }[frequency];
+  const name = document.getElementById("scenario-name").value.trim() ||
+    `${type === "withdrawal" ? "-" : "+"}$${amount.toFixed(2)}/${per}`;
+
+  projectionScenarios.push({
+    name,
+    recurring: { amount: type === "withdrawal" ? -amount : amount, frequency }
+  });
+  document.getElementById("scenario-name").value = "";
+  document.getElementById("scenario-amount").value = "";
+  renderScenarioList();
   updateProjection();
 }
 
+function removeScenario(idx) {
+  projectionScenarios.splice(idx, 1);
+  renderScenarioList();
+  updateProjection();
+}
+
+function renderScenarioList() {
+  const list = document.getElementById("scenario-list");
+  list.innerHTML = "";
+  projectionScenarios.forEach((sc, idx) => {
+    const li = document.createElement("li");
+
+    const swatch = document.createElement("span");
+    swatch.className = "swatch";
+    swatch.style.backgroundColor = SCENARIO_COLORS[idx % SCENARIO_COLORS.length];
+    li.appendChild(swatch);
+
+    const label = document.createElement("span");
+    label.className = "scenario-label";
+    label.textContent = sc.name;
+    li.appendChild(label);
+
+    if (projectionScenarios.length > 1) {
+      const btn = document.createElement("button");
+      btn.textContent = "Remove";
+      btn.addEventListener("click", () => removeScenario(idx));
+      li.appendChild(btn);
+    }
+    list.appendChild(li);
+  });
+}
+
 function updateProjection() {
   if (!currentUser) return;
 
@@ -466,22 +950,14 @@ function updateProjection() {
   const ctx = canvas.getContext("2d");
   ctx.clearRect(0, 0, canvas.width, canvas.height);
 
-  const sched = computeInterestSchedule(currentUser);
-  let runningBalance = sched.currentBalanceWithInterest;
-
-  const todayAPY = apyForDateUser(currentUser, new Date());
-  const mRate = monthlyRateFromAPY(todayAPY);
-
-  const dataPoints = [];
-  for (let m = 0; m <= months; m++) {
-    dataPoints.push({ month: m, balance: runningBalance });
-    runningBalance += runningBalance * mRate;
-  }
-  if (!dataPoints.length) return;
+  const today = viewDate();
+  const series = projectionScenarios.map((sc) => projectScenario(currentUser, months, today, sc.recurring));
+  if (!series.length) return;
 
+  const allBalances = series.flatMap((pts) => pts.map((d) => d.balance));
   const minMonth = 0, maxMonth = months;
-  const minBal = Math.min(...dataPoints.map((d) => d.balance));
-  const maxBal = Math.max(...dataPoints.map((d) => d.balance));
+  const minBal = Math.min(...allBalances);
+  const maxBal = Math.max(...allBalances);
 
   const left = 50, right = 10, top = 10, bottom = 25;
   const w = canvas.width - left - right;
@@ -501,14 +977,16 @@ function updateProjection() {
     return top + h - ((v - minBal) / (maxBal - minBal)) * h;
   }
 
-  ctx.beginPath();
-  ctx.lineWidth = 2;
-  ctx.strokeStyle = "green";
-  dataPoints.forEach((p, i) => {
-    const X = x(p.month), Y = y(p.balance);
-    if (i === 0) ctx.moveTo(X, Y); else ctx.lineTo(X, Y);
+  series.forEach((dataPoints, idx) => {
+    ctx.beginPath();
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = SCENARIO_COLORS[idx % SCENARIO_COLORS.length];
+    dataPoints.forEach((p, i) => {
+      const X = x(p.month), Y = y(p.balance);
+      if (i === 0) ctx.moveTo(X, Y); else ctx.lineTo(X, Y);
+    });
+    ctx.stroke();
   });
-  ctx.stroke();
 
   ctx.fillStyle = "#000";
   ctx.font = "12px sans-serif";
@@ -516,13 +994,284 @@ function updateProjection() {
   ctx.fillText(`${maxMonth} mo`, left + w - 30, top + h + 15);
   ctx.fillText(minBal.toFixed(2), 5, top + h);
   ctx.fillText(maxBal.toFixed(2), 5, top + 10);
+
+  // End-of-horizon balance per scenario
+  document.querySelectorAll("#scenario-list .scenario-label").forEach((el, idx) => {
+    const last = series[idx][series[idx].length - 1];
+    el.textContent = `${projectionScenarios[idx].name}: $${last.balance.toFixed(2)} after ${months} mo`;
+  });
+}
+
+/********************************************************************
+ * 5) Monthly statements: print layout plus CSV/JSON export of the
+ *    full augmented history (ledger.js)
+ ********************************************************************/
+function showStatement() {
+  hideAllSections();
+  document.getElementById("statement-section").style.display = "block";
+  const input = document.getElementById("statement-month");
+  if (!input.value || input.value > iso(viewDate()).slice(0, 7)) input.value = iso(viewDate()).slice(0, 7);
+  input.max = iso(viewDate()).slice(0, 7);
+  renderStatement();
+}
+
+function renderStatement() {
+  const container = document.getElementById("statement");
+  if (!currentUser) return;
+
+  const month = document.getElementById("statement-month").value;
+  const st = monthlyStatement(currentUser, month, viewDate());
+  if (!st) {
+    container.innerHTML = `<p class="error">Pick a month that has started.</p>`;
+    return;
+  }
+
+  const money = (v) => `$${v.toFixed(2)}`;
+  const title = localDate(st.startDate).toLocaleDateString(undefined, { year: "numeric", month: "long" });
+  const period = st.partial
+    ? `${st.startDate} to ${iso(viewDate())} (month in progress)`
+    : `${st.startDate} to ${st.endDate}`;
+
+  let html = `<h3>${escapeHTML(currentUser.name)} — ${escapeHTML(title)}</h3>`;
+  html += `<p>Statement period: ${period}</p>`;
+
+  html += `<table class="statement-table statement-summary"><tbody>`;
+  html += `<tr><th>Opening balance</th><td>${money(st.openingBalance)}</td></tr>`;
+  html += `<tr><th>Deposits</th><td>${money(st.deposits)}</td></tr>`;
+  html += `<tr><th>Withdrawals</th><td>${money(st.withdrawals)}</td></tr>`;
+  html += `<tr><th>Interest credited</th><td>${money(st.interestCredited)}</td></tr>`;
+  html += `<tr><th>${st.partial ? "Balance so far" : "Closing balance"}</th><td>${money(st.closingBalance)}</td></tr>`;
+  if (st.partial) {
+    html += `<tr><th>Interest accrued, not yet credited</th><td>${money(st.accruedInterest)}</td></tr>`;
+  }
+  html += `</tbody></table>`;
+
+  html += `<h4>APY in force</h4><ul>`;
+  st.rates.forEach((r) => {
+    const jar = r.jar ? `${escapeHTML(r.jar)}: ` : "";
+    html += `<li>${jar}${describeRate(r)} from ${r.startDate} to ${r.endDate}</li>`;
+  });
+  html += `</ul>`;
+
+  html += `<h4>Transactions</h4>`;
+  if (!st.rows.length) {
+    html += `<p>No transactions this month.</p>`;
+  } else {
+    html += `<table class="statement-table"><thead><tr>` +
+      `<th>Date</th><th>Type</th><th>Memo</th><th>Amount</th><th>Balance</th></tr></thead><tbody>`;
+    st.rows.forEach((r) => {
+      const tags = rowTags(r).map((t) => ` <span class="tx-tag">${escapeHTML(t)}</span>`).join("");
+      const category = r.category ? ` <span class="tx-tag">${escapeHTML(r.category)}</span>` : "";
+      html += `<tr><td>${r.date}</td><td>${escapeHTML(r.type)}${tags}${category}</td>` +
+        `<td>${escapeHTML(r.memo || "")}</td>` +
+        `<td>${r.amount.toFixed(2)}</td><td>${r.balance.toFixed(2)}</td></tr>`;
+    });
+    html += `</tbody></table>`;
+  }
+
+  container.innerHTML = html;
+}
+
+function exportHistory(format) {
+  if (!currentUser) return;
+  const rows = asOfRows(buildAugmentedTransactions(currentUser, viewDate()));
+  const base = `${currentUser.name.replace(/[^\w-]+/g, "_")}-history-${iso(viewDate())}`;
+  if (format === "csv") downloadText(`${base}.csv`, historyToCSV(rows), "text/csv");
+  else downloadText(`${base}.json`, historyToJSON(currentUser, rows), "application/json");
+}
+
+/********************************************************************
+ * 6) Family overview (parents): every account side by side, with
+ *    what the bank owes in total (ledger.js familyOverview)
+ ********************************************************************/
+function showFamily() {
+  if (role !== "parent") return;
+  hideAllSections();
+  document.getElementById("family-section").style.display = "block";
+  const input = document.getElementById("family-from");
+  input.max = iso(viewDate());
+  if (!input.value || input.value > input.max) input.value = `${input.max.slice(0, 4)}-01-01`;
+  renderFamilyTable();
+  renderFamilyGraph();
+}
+
+function renderFamilyTable() {
+  const fromValue = document.getElementById("family-from").value;
+  const users = activeUsers(usersData);
+  const overview = familyOverview(users, viewDate(), isValidISODate(fromValue) ? localDate(fromValue) : null);
+  const money = (v) => `$${v.toFixed(2)}`;
+  const cells = (tr, values) => values.forEach((v) => {
+    const td = document.createElement("td");
+    if (v instanceof Node) td.appendChild(v); else td.textContent = v;
+    tr.appendChild(td);
+  });
+
+  const tbody = document.querySelector("#family-table tbody");
+  tbody.innerHTML = "";
+  overview.rows.forEach((r, idx) => {
+    const tr = document.createElement("tr");
+    const open = document.createElement("button");
+    open.textContent = r.name;
+    open.title = `Open ${r.name}'s account`;
+    open.addEventListener("click", () => openAccount(users[idx]));
+    cells(tr, [open, money(r.balance), r.rate, money(r.interestThisMonth), money(r.interestThisYear),
+      money(r.deposits), money(r.withdrawals)]);
+    tbody.appendChild(tr);
+  });
+
+  const tfoot = document.querySelector("#family-table tfoot");
+  tfoot.innerHTML = "";
+  const tr = document.createElement("tr");
+  const t = overview.total;
+  cells(tr, ["Total", money(t.balance), "", money(t.interestThisMonth), money(t.interestThisYear),
+    money(t.deposits), money(t.withdrawals)]);
+  tfoot.appendChild(tr);
+
+  document.getElementById("family-owed").textContent =
+    `The bank owes the family ${money(t.balance)} as of ${viewDate().toLocaleDateString()}.`;
+}
+
+// One line per account plus a dashed total, month-end balances up to the as-of date
+function renderFamilyGraph() {
+  const canvas = document.getElementById("family-graph");
+  const { ctx, width, height } = sizeCanvas(canvas);
+  ctx.clearRect(0, 0, width, height);
+
+  const { dates, series, total } = familyBalanceSeries(activeUsers(usersData), viewDate());
+  const lines = [
+    ...series.map((s, i) => ({ label: s.name, values: s.balances, color: SCENARIO_COLORS[i % SCENARIO_COLORS.length], dash: [] })),
+    { label: "Total", values: total, color: "#000", dash: [6, 4] }
+  ];
+  const values = lines.flatMap((l) => l.values);
+  const ticks = niceTicks(Math.min(0, ...values), Math.max(...values), 5);
+  const minBal = ticks[0], maxBal = ticks[ticks.length - 1];
+
+  const { left, right, top, bottom } = HISTORY_PAD;
+  const w = width - left - right;
+  const h = height - top - bottom;
+  const x = (j) => (dates.length > 1 ? left + (j / (dates.length - 1)) * w : left);
+  const y = (v) => top + h - ((v - minBal) / (maxBal - minBal)) * h;
+
+  ctx.font = "12px sans-serif";
+  ctx.lineWidth = 1;
+  ticks.forEach((v) => {
+    const Y = Math.round(y(v)) + 0.5;
+    ctx.strokeStyle = "#eee";
+    ctx.beginPath(); ctx.moveTo(left, Y); ctx.lineTo(left + w, Y); ctx.stroke();
+    ctx.fillStyle = "#000";
+    ctx.textAlign = "right";
+    ctx.fillText(v.toFixed(2), left - 5, Y + 4);
+  });
+  (dates.length > 1 ? [0, dates.length - 1] : [0]).forEach((j) => {
+    ctx.textAlign = j === 0 ? "left" : "right";
+    ctx.fillText(localDate(dates[j]).toLocaleDateString(), x(j), top + h + 15);
+  });
+  ctx.textAlign = "left";
+
+  ctx.strokeStyle = "#000";
+  ctx.beginPath(); ctx.moveTo(left, top); ctx.lineTo(left, top + h); ctx.stroke();
+  ctx.beginPath(); ctx.moveTo(left, top + h); ctx.lineTo(left + w, top + h); ctx.stroke();
+
+  lines.forEach((line) => {
+    ctx.beginPath();
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = line.color;
+    ctx.setLineDash(line.dash);
+    line.values.forEach((v, j) => {
+      if (j === 0) ctx.moveTo(x(j), y(v)); else ctx.lineTo(x(j), y(v));
+    });
+    ctx.stroke();
+  });
+  ctx.setLineDash([]);
+
+  drawHistoryLegend(ctx, left + 10, top + 5, lines.map((l) => [l.color, l.label]));
+}
+
+/********************************************************************
+ * 7) "As of": every view re-runs the engine as of the chosen date
+ ********************************************************************/
+function viewDate() {
+  return asOf ? localDate(asOf) : new Date();
+}
+
+// Live views list future-dated rows as before; "as of" stops at that day
+function asOfRows(rows) {
+  return asOf ? rows.filter((r) => r.date <= asOf) : rows;
+}
+
+function setAsOf(date) {
+  asOf = isValidISODate(date) ? date : "";
+  document.getElementById("as-of-date").value = asOf;
+  document.getElementById("span-to").value = "";
+  document.getElementById("span-from").value = "";
+
+  const note = document.getElementById("as-of-note");
+  const todayISO = iso(new Date());
+  note.textContent = !asOf || asOf === todayISO ? ""
+    : asOf < todayISO ? "Showing the past: later transactions and interest are left out."
+    : "Showing the future: scheduled transactions and projected interest are included.";
+
+  // Redraw whichever view is open
+  const open = (id) => document.getElementById(id).style.display !== "none";
+  if (!currentUser) return;
+  if (open("balance-section")) showBalance();
+  else if (open("history-section")) showHistory();
+  else if (open("projection-section")) showProjection();
+  else if (open("statement-section")) showStatement();
+  else if (open("family-section")) showFamily();
 }
 
 /********************************************************************
  * Utility
  ********************************************************************/
+function escapeHTML(str) {
+  const div = document.createElement("div");
+  div.textContent = str;
+  return div.innerHTML;
+}
+
 function hideAllSections() {
   document.getElementById("balance-section").style.display = "none";
   document.getElementById("history-section").style.display = "none";
   document.getElementById("projection-section").style.display = "none";
+  document.getElementById("statement-section").style.display = "none";
+  document.getElementById("family-section").style.display = "none";
+}
+
+function downloadText(filename, text, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Match the canvas backing store to its CSS size × devicePixelRatio so
+// lines stay sharp on high-DPI screens; drawing then uses CSS pixels.
+function sizeCanvas(canvas) {
+  const dpr = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth || canvas.width;
+  const height = canvas.clientHeight || canvas.height;
+  if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+    canvas.width = Math.round(width * dpr);
+    canvas.height = Math.round(height * dpr);
+  }
+  const ctx = canvas.getContext("2d");
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  return { ctx, width, height };
+}
+
+// Round gridline values (1, 2 or 5 × 10^n apart) spanning [min, max]
+function niceTicks(min, max, count) {
+  if (min === max) { min -= 1; max += 1; }
+  const raw = (max - min) / count;
+  const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+  const step = [1, 2, 5, 10].map((m) => m * mag).find((s) => s >= raw);
+  const ticks = [];
+  for (let k = Math.floor(min / step); k <= Math.ceil(max / step); k++) ticks.push(k * step);
+  return ticks;
 }
@@ -0,0 +1,1535 @@
+/********************************************************************
+ * Regression tests for the DaddyBank interest engine (ledger.js)
+ *
+ *     node --test db/test/
+ ********************************************************************/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  monthlyRateFromAPY,
+  dailyRateFromAPY,
+  iso,
+  localDate,
+  daysInMonth,
+  isValidISODate,
+  isValidAmount,
+  apyForDateUser,
+  describeRate,
+  toCents,
+  roundCents,
+  expandRecurring,
+  signedTransactions,
+  computeInterestSchedule,
+  buildAugmentedTransactions,
+  historySeries,
+  filterHistory,
+  sortHistory,
+  categorySummary,
+  monthlyStatement,
+  spanSummary,
+  familyOverview,
+  familyBalanceSeries,
+  historyToCSV,
+  historyToJSON,
+  isValidPin,
+  hashPin,
+  verifyPin,
+  loginRole,
+  serializeBankXML,
+  serializeBankJSON,
+  readBankJSON,
+  parseBankJSON,
+  parseCSV,
+  csvImportRows,
+  recordChange,
+  revertChange,
+  activeUsers,
+  transactionId,
+  validateBank,
+  policyIssues,
+  formatIssue,
+  addMonths,
+  recurringDates,
+  GOAL_HORIZON_MONTHS,
+  projectScenario,
+  monthlyDepositNeeded,
+  goalProgress
+} = require("../ledger.js");
+
+const close = (actual, expected, msg) =>
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${msg || ""} expected ${expected}, got ${actual}`);
+
+// Engine money: a whole number of cents, within half a cent of the exact value
+const nearCent = (actual, exact, msg) => {
+  assert.ok(Math.abs(actual * 100 - Math.round(actual * 100)) < 1e-6, `${msg || ""} ${actual} is not whole cents`);
+  assert.ok(Math.abs(actual - exact) <= 0.005 + 1e-9, `${msg || ""} expected about ${exact}, got ${actual}`);
+};
+
+const band = (startDate, endDate, rate) => ({ startDate, endDate, rate });
+const tx = (date, type, amount) => ({ date, type, amount });
+
+/* ----------------------------- Helpers ------------------------------ */
+
+test("monthlyRateFromAPY compounds back to the APY over 12 months", () => {
+  close(Math.pow(1 + monthlyRateFromAPY(0.5), 12) - 1, 0.5);
+  assert.equal(monthlyRateFromAPY(0), 0);
+  assert.equal(monthlyRateFromAPY(undefined), 0);
+});
+
+test("date helpers stay in local time", () => {
+  assert.equal(iso(localDate("2025-03-01")), "2025-03-01");
+  assert.equal(daysInMonth(localDate("2024-02-10")), 29);
+  assert.equal(daysInMonth(localDate("2025-02-10")), 28);
+});
+
+test("apyForDateUser uses inclusive band edges and 0 outside any band", () => {
+  const user = {
+    transactions: [],
+    interestRates: [band("2025-01-01", "2025-01-31", 0.1), band("2025-02-01", "2025-12-31", 0.2)]
+  };
+  assert.equal(apyForDateUser(user, localDate("2025-01-31")), 0.1);
+  assert.equal(apyForDateUser(user, localDate("2025-02-01")), 0.2);
+  assert.equal(apyForDateUser(user, localDate("2026-01-01")), 0);
+  assert.equal(apyForDateUser({ transactions: [] }, localDate("2025-01-15")), 0);
+});
+
+/* ------------------------------ Engine ------------------------------ */
+
+test("zero-transaction user has an all-zero schedule", () => {
+  const user = { name: "Empty", transactions: [], interestRates: [band("2024-01-01", "2030-12-31", 0.5)] };
+  const sched = computeInterestSchedule(user, localDate("2025-06-15"));
+  assert.equal(sched.currentBalanceWithInterest, 0);
+  assert.equal(sched.totalInterestCredited, 0);
+  assert.equal(sched.accruedCurrentMonth, 0);
+  assert.equal(sched.nextMonthEstInterest, 0);
+  assert.deepEqual(sched.interestTx, []);
+  assert.deepEqual(buildAugmentedTransactions(user, localDate("2025-06-15")), []);
+});
+
+test("missing user returns an empty schedule", () => {
+  assert.equal(computeInterestSchedule(null).currentBalanceWithInterest, 0);
+  assert.deepEqual(buildAugmentedTransactions(null), []);
+});
+
+test("interest is credited on the opening balance at each month end", () => {
+  const m = monthlyRateFromAPY(0.12);
+  const user = {
+    transactions: [tx("2025-01-15", "deposit", 100)],
+    interestRates: [band("2024-01-01", "2030-12-31", 0.12)]
+  };
+  const sched = computeInterestSchedule(user, localDate("2025-03-10"));
+
+  // January opened at 0, so only February earns a credited row:
+  // 100 × m = 94.888¢ → 95¢, carrying −0.112¢ into March.
+  assert.deepEqual(sched.interestTx.map((t) => t.date), ["2025-02-28"]);
+  assert.equal(sched.interestTx[0].amount, 0.95);
+  close(sched.interestCarryCents, 100 * m * 100 - 95);
+  assert.equal(sched.startBalThisMonth, 100.95);
+  // 10 of 31 days on 100.95: 30.900¢ − 0.112¢ → 31¢
+  assert.equal(sched.accruedCurrentMonth, 0.31);
+  assert.equal(sched.currentBalanceWithInterest, 101.26);
+  // March credits 95.789¢ − 0.112¢ → 96¢; April 101.91 × m = 96.700¢ − 0.323¢ → 96¢
+  assert.equal(sched.nextMonthEstInterest, 0.96);
+});
+
+test("a deposit on the last day of a month counts toward the next opening balance", () => {
+  const m = monthlyRateFromAPY(0.12);
+  const rates = [band("2024-01-01", "2030-12-31", 0.12)];
+  const today = localDate("2025-03-05");
+
+  const lastDay = computeInterestSchedule(
+    { transactions: [tx("2025-01-01", "deposit", 100), tx("2025-01-31", "deposit", 50)], interestRates: rates },
+    today
+  );
+  const firstDay = computeInterestSchedule(
+    { transactions: [tx("2025-01-01", "deposit", 100), tx("2025-02-01", "deposit", 50)], interestRates: rates },
+    today
+  );
+
+  // Feb interest: 150 opening vs 100 opening (Feb 1 deposit waits until March).
+  nearCent(lastDay.interestTx[0].amount, 150 * m);
+  nearCent(firstDay.interestTx[0].amount, 100 * m);
+  assert.equal(lastDay.interestTx[0].date, "2025-02-28");
+  assert.equal(firstDay.interestTx[0].date, "2025-02-28");
+});
+
+test("interest rows land on month end across a year boundary and leap February", () => {
+  const user = {
+    transactions: [tx("2023-12-10", "deposit", 100)],
+    interestRates: [band("2023-01-01", "2030-12-31", 0.1)]
+  };
+  const sched = computeInterestSchedule(user, localDate("2024-03-01"));
+  assert.deepEqual(sched.interestTx.map((t) => t.date), ["2024-01-31", "2024-02-29"]);
+});
+
+test("each month uses the rate band in force on its first day", () => {
+  const m1 = monthlyRateFromAPY(0.12);
+  const m2 = monthlyRateFromAPY(0.24);
+  const user = {
+    transactions: [tx("2024-12-10", "deposit", 100)],
+    interestRates: [band("2024-01-01", "2025-01-31", 0.12), band("2025-02-01", "2030-12-31", 0.24)]
+  };
+  const sched = computeInterestSchedule(user, localDate("2025-03-15"));
+
+  // Jan: 100 × m1 = 94.888¢ → 95¢; Feb: 100.95 × m2 = 182.594¢ − 0.112¢ carried → 182¢
+  assert.deepEqual(sched.interestTx.map((t) => t.date), ["2025-01-31", "2025-02-28"]);
+  nearCent(sched.interestTx[0].amount, 100 * m1);
+  assert.equal(sched.interestTx[1].amount, 1.82);
+  close(sched.interestCarryCents, (100 * m1 * 100 - 95) + (100.95 * m2 * 100 - 182));
+  assert.equal(sched.totalInterestCredited, 2.77);
+});
+
+test("months outside every band earn nothing", () => {
+  const user = {
+    transactions: [tx("2024-12-10", "deposit", 100)],
+    interestRates: [band("2025-02-01", "2030-12-31", 0.24)]
+  };
+  const sched = computeInterestSchedule(user, localDate("2025-03-15"));
+  assert.deepEqual(sched.interestTx.map((t) => t.date), ["2025-02-28"]);
+});
+
+test("withdrawals reduce the next opening balance", () => {
+  const m = monthlyRateFromAPY(0.12);
+  const user = {
+    transactions: [tx("2024-12-05", "deposit", 100), tx("2025-01-10", "withdrawal", 40)],
+    interestRates: [band("2024-01-01", "2030-12-31", 0.12)]
+  };
+  const sched = computeInterestSchedule(user, localDate("2025-03-01"));
+
+  const jan = 100 * m;
+  const feb = (100 + jan - 40) * m;
+  nearCent(sched.interestTx[0].amount, jan);
+  nearCent(sched.interestTx[1].amount, feb);
+  assert.equal(sched.baseBalance, 60);
+  nearCent(sched.startBalThisMonth, 100 + jan - 40 + feb);
+});
+
+test("a withdrawal in the current month is applied to today's balance", () => {
+  const user = {
+    transactions: [tx("2025-01-05", "deposit", 100), tx("2025-02-03", "debit", 30)],
+    interestRates: []
+  };
+  const sched = computeInterestSchedule(user, localDate("2025-02-10"));
+  assert.equal(sched.currentBalanceWithInterest, 70);
+  assert.deepEqual(sched.interestTx, []);
+});
+
+test("a user with only withdrawals earns no interest", () => {
+  const user = {
+    transactions: [tx("2025-01-05", "withdrawal", 20)],
+    interestRates: [band("2024-01-01", "2030-12-31", 0.5)]
+  };
+  const sched = computeInterestSchedule(user, localDate("2025-04-01"));
+  assert.equal(sched.currentBalanceWithInterest, -20);
+  assert.equal(sched.totalInterestCredited, 0);
+});
+
+/* ------------------------------ Money ------------------------------- */
+
+test("roundCents rounds halves to the even cent", () => {
+  assert.equal(roundCents(2.5), 2);
+  assert.equal(roundCents(3.5), 4);
+  assert.equal(roundCents(-2.5), -2);
+  assert.equal(roundCents(2.4999), 2);
+  assert.equal(roundCents(2.51), 3);
+  assert.equal(toCents(0.29), 29);
+  assert.equal(toCents("12.5"), 1250);
+});
+
+test("fractions of a cent are carried into later credits", () => {
+  // Simple interest on $1.00 at 4.8% is exactly 0.4¢ a month:
+  // 0.4 → 0 (carry 0.4), 0.8 → 1 (−0.2), 0.2 → 0, 0.6 → 1 (−0.4), 0 → 0
+  const user = {
+    compounding: "simple",
+    transactions: [tx("2024-12-15", "deposit", 1)],
+    interestRates: [band("2024-01-01", "2030-12-31", 0.048)]
+  };
+  const sched = computeInterestSchedule(user, localDate("2025-06-10"));
+  assert.deepEqual(sched.interestTx.map((t) => [t.date, t.amount]), [["2025-02-28", 0.01], ["2025-04-30", 0.01]]);
+  assert.equal(sched.totalInterestCredited, 0.02);
+  close(sched.interestCarryCents, 0);
+});
+
+test("History rows add up to the balance to the cent", () => {
+  const user = {
+    compounding: "daily",
+    transactions: [tx("2023-01-03", "deposit", 33.33), tx("2023-05-17", "withdrawal", 7.77), tx("2024-02-29", "deposit", 0.01)],
+    recurring: [{ amount: 1.11, type: "deposit", frequency: "weekly", startDate: "2023-02-01" }],
+    interestRates: [band("2023-01-01", "2030-12-31", 0.17)]
+  };
+  const today = localDate("2025-08-20");
+  const sched = computeInterestSchedule(user, today);
+  const rows = buildAugmentedTransactions(user, today);
+
+  rows.forEach((r) => assert.equal(r.amount, toCents(r.amount) / 100, `${r.date} ${r.amount}`));
+  const rowCents = rows.reduce((sum, r) => sum + toCents(r.amount), 0);
+  assert.equal(rowCents, toCents(sched.currentBalanceWithInterest) - toCents(sched.accruedCurrentMonth));
+  assert.equal(rowCents, toCents(sched.baseBalance) + toCents(sched.totalInterestCredited));
+});
+
+/* ---------------------------- Compounding ---------------------------- */
+
+test("unknown or missing compounding falls back to monthly", () => {
+  const rates = [band("2024-01-01", "2030-12-31", 0.12)];
+  const txs = [tx("2025-01-15", "deposit", 100)];
+  const today = localDate("2025-03-10");
+  const base = computeInterestSchedule({ transactions: txs, interestRates: rates }, today);
+  const odd = computeInterestSchedule({ compounding: "weekly", transactions: txs, interestRates: rates }, today);
+  assert.deepEqual(odd, base);
+});
+
+test("daily-average credits a mid-month deposit for the days it was held", () => {
+  const m = monthlyRateFromAPY(0.12);
+  const user = {
+    compounding: "daily-average",
+    transactions: [tx("2025-01-01", "deposit", 100), tx("2025-01-22", "deposit", 31)],
+    interestRates: [band("2024-01-01", "2030-12-31", 0.12)]
+  };
+  const sched = computeInterestSchedule(user, localDate("2025-02-10"));
+
+  // 100 for 31 days + 31 for the 10 days from the 22nd: average 110
+  assert.deepEqual(sched.interestTx.map((t) => t.date), ["2025-01-31"]);
+  nearCent(sched.interestTx[0].amount, 110 * m);
+
+  const opening = 131 + 110 * m;
+  nearCent(sched.accruedCurrentMonth, opening * m * (10 / 28));
+});
+
+test("daily compounding over a full year at a constant rate yields the APY", () => {
+  const user = {
+    compounding: "daily",
+    transactions: [tx("2025-01-01", "deposit", 100)],
+    interestRates: [band("2024-01-01", "2030-12-31", 0.3)]
+  };
+  const sched = computeInterestSchedule(user, localDate("2026-01-01"));
+  assert.equal(sched.interestTx.length, 12);
+  close(sched.startBalThisMonth, 130);
+  close(dailyRateFromAPY(0.3, localDate("2024-06-01")), Math.pow(1.3, 1 / 366) - 1);
+});
+
+test("simple interest is paid on principal only", () => {
+  const user = {
+    compounding: "simple",
+    transactions: [tx("2024-12-20", "deposit", 100), tx("2025-02-10", "withdrawal", 40)],
+    interestRates: [band("2024-01-01", "2030-12-31", 0.12)]
+  };
+  const sched = computeInterestSchedule(user, localDate("2025-04-01"));
+  assert.deepEqual(sched.interestTx.map((t) => t.date), ["2025-01-31", "2025-02-28", "2025-03-31"]);
+  close(sched.interestTx[0].amount, 1);
+  close(sched.interestTx[1].amount, 1);
+  close(sched.interestTx[2].amount, 0.6);
+  close(sched.nextMonthEstInterest, 0.6);
+});
+
+/* ------------------------- Augmented history ------------------------ */
+
+test("buildAugmentedTransactions merges signed rows with credited interest by date", () => {
+  const user = {
+    transactions: [tx("2025-02-10", "withdrawal", 10), tx("2025-01-05", "deposit", 100)],
+    interestRates: [band("2024-01-01", "2030-12-31", 0.12)]
+  };
+  const rows = buildAugmentedTransactions(user, localDate("2025-03-15"));
+  assert.deepEqual(rows.map((r) => [r.date, r.type]), [
+    ["2025-01-05", "deposit"],
+    ["2025-02-10", "withdrawal"],
+    ["2025-02-28", "Interest"]
+  ]);
+  assert.equal(rows[1].amount, -10);
+});
+
+const historyRowsFixture = () => [
+  { date: "2025-01-05", type: "deposit", amount: 100 },
+  { date: "2025-01-31", type: "Interest", amount: 1 },
+  { date: "2025-02-10", type: "withdrawal", amount: -10 },
+  { date: "2025-02-28", type: "Interest", amount: 0.5 }
+];
+
+test("historySeries splits running totals into principal and interest", () => {
+  const pts = historySeries(historyRowsFixture());
+  assert.deepEqual(pts.map((p) => [p.date, p.principal, p.interest, p.balance]), [
+    ["2025-01-05", 100, 0, 100],
+    ["2025-01-31", 100, 1, 101],
+    ["2025-02-10", 90, 1, 91],
+    ["2025-02-28", 90, 1.5, 91.5]
+  ]);
+  assert.equal(pts[2].row.type, "withdrawal");
+});
+
+test("historySeries carries earlier rows into an opening point for the range", () => {
+  const pts = historySeries(historyRowsFixture(), "2025-02-01", "2025-02-10");
+  assert.deepEqual(pts.map((p) => [p.date, p.row && p.row.type, p.balance]), [
+    ["2025-02-01", null, 101],
+    ["2025-02-10", "withdrawal", 91]
+  ]);
+  assert.deepEqual(historySeries(historyRowsFixture(), "2025-03-01").map((p) => [p.row, p.balance]), [[null, 91.5]]);
+  assert.deepEqual(historySeries(historyRowsFixture(), null, "2024-12-31"), []);
+});
+
+const taggedRows = () => [
+  { date: "2025-01-05", type: "deposit", amount: 10, category: "chores", memo: "dishes" },
+  { date: "2025-01-12", type: "Deposit", amount: 25, category: "gifts", memo: "Birthday" },
+  { date: "2025-01-20", type: "withdrawal", amount: -8, category: "toys" },
+  { date: "2025-01-31", type: "Interest", amount: 0.5 },
+  { date: "2025-02-02", type: "deposit", amount: 10, category: "chores" },
+  { date: "2025-02-09", type: "deposit", amount: 3 }
+];
+
+test("filterHistory narrows by type, category and date range", () => {
+  const dates = (rows) => rows.map((r) => r.date);
+  assert.deepEqual(dates(filterHistory(taggedRows(), { type: "deposit" })),
+    ["2025-01-05", "2025-01-12", "2025-02-02", "2025-02-09"]);
+  assert.deepEqual(dates(filterHistory(taggedRows(), { category: "chores", from: "2025-02-01" })), ["2025-02-02"]);
+  assert.deepEqual(dates(filterHistory(taggedRows(), { category: "" })), ["2025-01-31", "2025-02-09"]);
+  assert.deepEqual(dates(filterHistory(taggedRows(), { to: "2025-01-12" })), ["2025-01-05", "2025-01-12"]);
+});
+
+test("sortHistory orders by a column and keeps date order on ties", () => {
+  const rows = taggedRows();
+  assert.deepEqual(sortHistory(rows, "amount", "desc").map((r) => r.amount), [25, 10, 10, 3, 0.5, -8]);
+  assert.deepEqual(sortHistory(rows, "category").map((r) => r.date),
+    ["2025-01-31", "2025-02-09", "2025-01-05", "2025-02-02", "2025-01-12", "2025-01-20"]);
+  assert.deepEqual(sortHistory(rows, "memo", "desc").slice(0, 2).map((r) => r.memo), ["dishes", "Birthday"]);
+  assert.equal(rows[0].date, "2025-01-05");
+});
+
+test("categorySummary totals each category with interest and uncategorized apart", () => {
+  assert.deepEqual(categorySummary(taggedRows()), [
+    { category: "chores", count: 2, inflow: 20, outflow: 0, net: 20 },
+    { category: "gifts", count: 1, inflow: 25, outflow: 0, net: 25 },
+    { category: "Interest", count: 1, inflow: 0.5, outflow: 0, net: 0.5 },
+    { category: "toys", count: 1, inflow: 0, outflow: 8, net: -8 },
+    { category: "", count: 1, inflow: 3, outflow: 0, net: 3 }
+  ]);
+});
+
+/* --------------------------- Input checks --------------------------- */
+
+test("isValidISODate accepts only real YYYY-MM-DD days", () => {
+  assert.equal(isValidISODate("2024-02-29"), true);
+  assert.equal(isValidISODate("2025-02-29"), false);
+  assert.equal(isValidISODate("2025-13-01"), false);
+  assert.equal(isValidISODate("2025-1-5"), false);
+  assert.equal(isValidISODate(""), false);
+});
+
+test("isValidAmount accepts positive amounts with at most two decimals", () => {
+  assert.equal(isValidAmount("5"), true);
+  assert.equal(isValidAmount("12.5"), true);
+  assert.equal(isValidAmount("40.00"), true);
+  assert.equal(isValidAmount("0"), false);
+  assert.equal(isValidAmount("-3"), false);
+  assert.equal(isValidAmount("1.234"), false);
+  assert.equal(isValidAmount("abc"), false);
+});
+
+/* ---------------------------- Serializer ---------------------------- */
+
+test("serializeBankXML writes the dbstatefile.xml schema", () => {
+  const xml = serializeBankXML([
+    {
+      name: "Kid & Co",
+      transactions: [tx("2025-01-05", "deposit", 41), tx("2025-01-09", "withdrawal", 6.5)],
+      interestRates: [band("2024-11-01", "2030-12-31", 0.3), band("2031-01-01", "2031-12-31", 0.125)]
+    }
+  ]);
+  assert.equal(xml, [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    "<bank>",
+    "  <users>",
+    "    <user>",
+    "      <name>Kid &amp; Co</name>",
+    "      <transactions>",
+    "        <transaction>",
+    "          <date>2025-01-05</date>",
+    "          <type>deposit</type>",
+    "          <amount>41.00</amount>",
+    "        </transaction>",
+    "        <transaction>",
+    "          <date>2025-01-09</date>",
+    "          <type>withdrawal</type>",
+    "          <amount>6.50</amount>",
+    "        </transaction>",
+    "      </transactions>",
+    "      <interestRates>",
+    "        <interestRate>",
+    "          <startDate>2024-11-01</startDate>",
+    "          <endDate>2030-12-31</endDate>",
+    "          <rate>0.30</rate>",
+    "        </interestRate>",
+    "        <interestRate>",
+    "          <startDate>2031-01-01</startDate>",
+    "          <endDate>2031-12-31</endDate>",
+    "          <rate>0.125</rate>",
+    "        </interestRate>",
+    "      </interestRates>",
+    "    </user>",
+    "  </users>",
+    "</bank>",
+    ""
+  ].join("\n"));
+});
+
+test("serializeBankXML writes memo and category after the amount", () => {
+  const xml = serializeBankXML([{
+    name: "Grahe",
+    transactions: [{ ...tx("2025-01-05", "deposit", 54), memo: "Birthday <3", category: "gifts" }],
+    interestRates: []
+  }]);
+  assert.match(xml, /<amount>54.00<\/amount>\n {10}<memo>Birthday &lt;3<\/memo>\n {10}<category>gifts<\/category>/);
+});
+
+/* ---------------------------- Validation ---------------------------- */
+
+// Raw records as readBankXML returns them: trimmed strings, null if missing
+const rawBank = (users) => ({ parseError: null, hasUsers: true, users });
+const rawUser = (name, transactions = [], interestRates = []) => ({ name, transactions, interestRates });
+const rawTx = (date, type, amount) => ({ date, type, amount });
+const rawBand = (startDate, endDate, rate) => ({ startDate, endDate, rate });
+const where = (issues) => issues.map((i) => [i.user, i.section, i.index, i.field]);
+
+test("a clean file has no issues", () => {
+  const raw = rawBank([
+    rawUser("Grahe",
+      [rawTx("2024-11-23", "deposit", "41.00"), rawTx("2024-12-01", "withdrawal", "6.00")],
+      [rawBand("2024-01-01", "2024-10-31", "0.02"), rawBand("2024-11-01", "2030-12-31", "0.30")])
+  ]);
+  assert.deepEqual(validateBank(raw), []);
+});
+
+test("malformed XML is reported once at file level", () => {
+  const issues = validateBank({ parseError: "line 3: mismatched tag", hasUsers: false, users: [] });
+  assert.equal(issues.length, 1);
+  assert.equal(issues[0].section, "file");
+  assert.match(formatIssue(issues[0]), /mismatched tag/);
+});
+
+test("missing <users> and empty user lists are reported", () => {
+  assert.deepEqual(where(validateBank({ parseError: null, hasUsers: false, users: [] })), [[null, "file", null, "users"]]);
+  assert.deepEqual(where(validateBank(rawBank([]))), [[null, "file", null, "user"]]);
+});
+
+test("transaction problems name the user, index and field", () => {
+  const raw = rawBank([
+    rawUser(null, [
+      rawTx("2025-02-30", "deposit", "5.00"),
+      rawTx("2025-03-01", "allowance", "5.00"),
+      rawTx("2025-03-02", "deposit", "-4"),
+      rawTx("2025-03-03", "deposit", "4,00"),
+      rawTx(null, "deposit", null)
+    ])
+  ]);
+  assert.deepEqual(where(validateBank(raw)), [
+    ["User 1", "user", null, "name"],
+    ["User 1", "transaction", 1, "date"],
+    ["User 1", "transaction", 2, "type"],
+    ["User 1", "transaction", 3, "amount"],
+    ["User 1", "transaction", 4, "amount"],
+    ["User 1", "transaction", 5, "date"],
+    ["User 1", "transaction", 5, "amount"]
+  ]);
+});
+
+test("transaction types are matched case-insensitively", () => {
+  const raw = rawBank([rawUser("Rowan", [rawTx("2025-03-01", "Deposit", "5"), rawTx("2025-03-02", "DEBIT", "1")])]);
+  assert.deepEqual(validateBank(raw), []);
+});
+
+test("overlapping and gapped rate bands are reported on the later band", () => {
+  const raw = rawBank([
+    rawUser("Rowan", [], [
+      rawBand("2025-01-01", "2025-06-30", "0.5"),
+      rawBand("2025-06-15", "2025-12-31", "0.3"),
+      rawBand("2026-02-01", "2030-12-31", "30")
+    ])
+  ]);
+  const issues = validateBank(raw);
+  assert.deepEqual(where(issues), [
+    ["Rowan", "interestRate", 2, "startDate"],
+    ["Rowan", "interestRate", 3, "startDate"]
+  ]);
+  assert.match(issues[0].message, /Overlaps interestRate #1/);
+  assert.match(issues[1].message, /no rate from 2026-01-01 to 2026-01-31/);
+  assert.equal(formatIssue(issues[1]), `Rowan › interestRate #3 › <startDate>: ${issues[1].message}`);
+});
+
+test("invalid band dates and rates are reported and skipped for overlap checks", () => {
+  const raw = rawBank([
+    rawUser("Rowan", [], [
+      rawBand("2025-01-01", "2024-12-31", "0.5"),
+      rawBand("2025-13-01", "2025-12-31", "abc"),
+      rawBand("2025-01-01", "2025-12-31", "-0.1")
+    ])
+  ]);
+  assert.deepEqual(where(validateBank(raw)), [
+    ["Rowan", "interestRate", 1, "endDate"],
+    ["Rowan", "interestRate", 2, "startDate"],
+    ["Rowan", "interestRate", 2, "rate"],
+    ["Rowan", "interestRate", 3, "rate"]
+  ]);
+});
+
+test("unknown compounding policies are reported on the user", () => {
+  const raw = rawBank([{ ...rawUser("Rowan"), compounding: "hourly" }, { ...rawUser("Grahe"), compounding: "Daily" }]);
+  assert.deepEqual(where(validateBank(raw)), [["Rowan", "user", null, "compounding"]]);
+});
+
+/* --------------------------- Savings goals -------------------------- */
+
+test("addMonths clamps to the end of shorter months", () => {
+  assert.equal(iso(addMonths(localDate("2025-01-31"), 1)), "2025-02-28");
+  assert.equal(iso(addMonths(localDate("2025-11-15"), 3)), "2026-02-15");
+});
+
+test("recurringDates steps by week, fortnight or month after the start", () => {
+  const from = localDate("2025-01-31");
+  const until = localDate("2025-03-31");
+  assert.equal(recurringDates(from, until, "weekly").length, 8);
+  assert.deepEqual(recurringDates(from, until, "biweekly").map(iso), ["2025-02-14", "2025-02-28", "2025-03-14", "2025-03-28"]);
+  assert.deepEqual(recurringDates(from, until, "monthly").map(iso), ["2025-02-28", "2025-03-31"]);
+});
+
+test("projectScenario matches the engine at month ends", () => {
+  const user = {
+    transactions: [tx("2025-01-05", "deposit", 100), tx("2025-02-10", "deposit", 20)],
+    interestRates: [band("2024-01-01", "2030-12-31", 0.3)]
+  };
+  const today = localDate("2025-01-20");
+  const pts = projectScenario(user, 3, today);
+
+  assert.deepEqual(pts.map((p) => p.month), [0, 1, 2, 3]);
+  close(pts[0].balance, computeInterestSchedule(user, today).currentBalanceWithInterest);
+  // The end of month k equals History's opening balance on the 1st of month k+1
+  close(pts[2].balance, computeInterestSchedule(user, localDate("2025-03-01")).startBalThisMonth);
+  close(pts[3].balance, computeInterestSchedule(user, localDate("2025-04-01")).startBalThisMonth);
+});
+
+test("projectScenario follows scheduled rate bands instead of today's APY", () => {
+  const user = {
+    transactions: [tx("2025-01-01", "deposit", 100)],
+    interestRates: [band("2024-01-01", "2025-02-28", 0.12), band("2025-03-01", "2030-12-31", 0)]
+  };
+  const pts = projectScenario(user, 4, localDate("2025-01-15"));
+  const m = monthlyRateFromAPY(0.12);
+  // January opens at 0, February earns 12% APY, March onwards earns nothing
+  nearCent(pts[2].balance, 100 * (1 + m));
+  nearCent(pts[4].balance, pts[2].balance);
+});
+
+test("projectScenario adds recurring deposits and withdrawals", () => {
+  const user = { transactions: [tx("2025-01-01", "deposit", 100)], interestRates: [] };
+  const today = localDate("2025-01-15");
+  assert.equal(projectScenario(user, 2, today, { amount: 5, frequency: "weekly" })[2].balance, 100 + 5 * 6);
+  assert.equal(projectScenario(user, 2, today, { amount: -10, frequency: "monthly" })[2].balance, 90);
+});
+
+test("goalProgress reports fraction, ETA and the monthly top-up", () => {
+  const user = {
+    transactions: [tx("2025-01-01", "deposit", 50)],
+    interestRates: [],
+    goals: []
+  };
+  const today = localDate("2025-01-10");
+  const p = goalProgress(user, { name: "Bike", target: 200, targetDate: "2025-07-10" }, today);
+  assert.equal(p.fraction, 0.25);
+  assert.equal(p.reached, false);
+  assert.equal(p.etaDate, null);
+  assert.equal(p.monthsToTargetDate, 6);
+  close(p.monthlyNeeded, 25);
+
+  const done = goalProgress(user, { name: "Book", target: 20, targetDate: "" }, today);
+  assert.equal(done.reached, true);
+  assert.equal(done.fraction, 1);
+  assert.equal(done.monthsToGoal, 0);
+  assert.equal(done.monthlyNeeded, null);
+});
+
+test("goalProgress counts deposits up to the target date, not just to the last month end", () => {
+  const user = { transactions: [tx("2025-01-01", "deposit", 50)], interestRates: [] };
+  const today = localDate("2025-01-10");
+  // Month ends Jan..Jul; monthly deposits land Feb 10..Jul 10
+  const p = goalProgress(user, { name: "Bike", target: 200, targetDate: "2025-07-31" }, today);
+  assert.equal(p.monthsToTargetDate, 7);
+  assert.equal(p.monthlyNeeded, 25);
+  assert.equal(p.shortfallAtTargetDate, 150);
+  // The Jul 10 deposit is on the target date; a day earlier it is not
+  assert.equal(goalProgress(user, { name: "Bike", target: 200, targetDate: "2025-07-09" }, today).monthlyNeeded, 30);
+  assert.equal(monthlyDepositNeeded(user, 200, 6, today, localDate("2025-07-10")), 25);
+  assert.equal(monthlyDepositNeeded(user, 200, 6, today), 30);
+});
+
+test("goalProgress finds the month interest carries the balance past the target", () => {
+  const user = { transactions: [tx("2025-01-01", "deposit", 100)], interestRates: [band("2024-01-01", "2030-12-31", 0.3)] };
+  const today = localDate("2025-01-10");
+  const p = goalProgress(user, { name: "Game", target: 110, targetDate: "" }, today);
+  const pts = projectScenario(user, p.monthsToGoal, today);
+  assert.ok(pts[p.monthsToGoal].balance >= 110);
+  assert.ok(pts[p.monthsToGoal - 1].balance < 110);
+  assert.equal(iso(p.etaDate), iso(pts[p.monthsToGoal].date));
+});
+
+test("goalProgress looks no further than its horizon", () => {
+  const user = { transactions: [tx("2025-01-01", "deposit", 50)], interestRates: [band("2024-01-01", "2060-12-31", 0.05)] };
+  const today = localDate("2025-01-10");
+  const far = goalProgress(user, { name: "Car", target: 80, targetDate: "2050-01-01" }, today, 24);
+  assert.equal(far.monthsToGoal, null);
+  assert.equal(far.etaDate, null);
+  assert.equal(far.monthsToTargetDate, 300);
+  assert.equal(far.shortfallAtTargetDate, null);
+  assert.equal(far.monthlyNeeded, null);
+  // Far enough out, interest alone gets there
+  assert.ok(goalProgress(user, { name: "Car", target: 80, targetDate: "" }, today).monthsToGoal <= GOAL_HORIZON_MONTHS);
+});
+
+test("monthlyDepositNeeded is null when no deposit date fits before the deadline", () => {
+  const user = { transactions: [tx("2025-01-01", "deposit", 50)], interestRates: [] };
+  assert.equal(monthlyDepositNeeded(user, 200, 1, localDate("2025-01-10")), null);
+  assert.equal(monthlyDepositNeeded(user, 40, 1, localDate("2025-01-10")), 0);
+});
+
+test("goal problems are reported with their index", () => {
+  const raw = rawBank([{
+    ...rawUser("Grahe"),
+    goals: [
+      { name: "Bike", target: "200", targetDate: null },
+      { name: "", target: "lots", targetDate: "2025-02-30" }
+    ]
+  }]);
+  assert.deepEqual(where(validateBank(raw)), [
+    ["Grahe", "goal", 2, "name"],
+    ["Grahe", "goal", 2, "target"],
+    ["Grahe", "goal", 2, "targetDate"]
+  ]);
+});
+
+test("serializeBankXML writes goals only for users that have them", () => {
+  const xml = serializeBankXML([
+    { name: "A", transactions: [], interestRates: [], goals: [{ name: "Lego", target: 80, targetDate: "2026-12-25" }, { name: "Bike", target: 150, targetDate: "" }] },
+    { name: "B", transactions: [], interestRates: [], goals: [] }
+  ]);
+  assert.match(xml, /<goals>\n {8}<goal>\n {10}<name>Lego<\/name>\n {10}<target>80.00<\/target>\n {10}<targetDate>2026-12-25<\/targetDate>\n {8}<\/goal>\n {8}<goal>\n {10}<name>Bike<\/name>\n {10}<target>150.00<\/target>\n {8}<\/goal>\n {6}<\/goals>/);
+  assert.equal(xml.match(/<goals>/g).length, 1);
+});
+
+/* ------------------------ Recurring transactions -------------------- */
+
+test("expandRecurring includes the start date and stops at today or endDate", () => {
+  const user = {
+    transactions: [],
+    interestRates: [],
+    recurring: [
+      { amount: 5, type: "deposit", frequency: "weekly", startDate: "2025-01-04", endDate: "" },
+      { amount: 2, type: "withdrawal", frequency: "monthly", startDate: "2024-11-30", endDate: "2025-01-31" }
+    ]
+  };
+  const rows = expandRecurring(user, localDate("2025-02-01"));
+  assert.deepEqual(rows.filter((r) => r.amount === 5).map((r) => r.date),
+    ["2025-01-04", "2025-01-11", "2025-01-18", "2025-01-25", "2025-02-01"]);
+  assert.deepEqual(rows.filter((r) => r.amount === 2).map((r) => r.date),
+    ["2024-11-30", "2024-12-30", "2025-01-30"]);
+  assert.equal(rows[0].rule, "recurring #1, weekly");
+});
+
+test("recurring rows feed the engine and are tagged in History", () => {
+  const m = monthlyRateFromAPY(0.12);
+  const user = {
+    transactions: [tx("2025-01-01", "deposit", 100)],
+    interestRates: [band("2024-01-01", "2030-12-31", 0.12)],
+    recurring: [{ amount: 10, type: "deposit", frequency: "biweekly", startDate: "2025-01-10", endDate: "" }]
+  };
+  const today = localDate("2025-02-15");
+  const sched = computeInterestSchedule(user, today);
+
+  // Jan 10 and Jan 24 land before February opens; Feb 7 is this month
+  assert.deepEqual(sched.interestTx, []);
+  nearCent(sched.startBalThisMonth, 120);
+  nearCent(sched.currentBalanceWithInterest, 130 + 120 * m * (15 / 28));
+
+  const rows = buildAugmentedTransactions(user, today);
+  assert.deepEqual(rows.filter((r) => r.rule).map((r) => r.date), ["2025-01-10", "2025-01-24", "2025-02-07"]);
+  assert.equal(rows.find((r) => !r.rule).rule, undefined);
+});
+
+test("projections continue recurring rules into the future", () => {
+  const user = {
+    transactions: [],
+    interestRates: [],
+    recurring: [{ amount: 5, type: "deposit", frequency: "weekly", startDate: "2025-01-01", endDate: "2025-03-05" }]
+  };
+  const pts = projectScenario(user, 3, localDate("2025-01-20"));
+  assert.deepEqual(pts.map((p) => p.balance), [15, 25, 45, 50]);
+});
+
+test("recurring rule problems are reported", () => {
+  const raw = rawBank([{
+    ...rawUser("Grahe"),
+    recurring: [
+      { amount: "5.00", type: "deposit", frequency: "weekly", startDate: "2025-01-01", endDate: null },
+      { amount: "-5", type: "gift", frequency: "daily", startDate: "2025-01-01", endDate: "2024-12-01" }
+    ]
+  }]);
+  assert.deepEqual(where(validateBank(raw)), [
+    ["Grahe", "recurring", 2, "amount"],
+    ["Grahe", "recurring", 2, "type"],
+    ["Grahe", "recurring", 2, "frequency"],
+    ["Grahe", "recurring", 2, "endDate"]
+  ]);
+});
+
+test("serializeBankXML writes recurring rules after the transactions", () => {
+  const xml = serializeBankXML([{
+    name: "A",
+    transactions: [],
+    recurring: [{ amount: 5, type: "deposit", frequency: "weekly", startDate: "2025-01-04", endDate: "" }],
+    interestRates: []
+  }]);
+  assert.match(xml, /<\/transactions>\n {6}<recurring>\n {8}<amount>5.00<\/amount>\n {8}<type>deposit<\/type>\n {8}<frequency>weekly<\/frequency>\n {8}<startDate>2025-01-04<\/startDate>\n {6}<\/recurring>\n {6}<interestRates>/);
+});
+
+/* -------------------------------- Jars ------------------------------ */
+
+const jarUser = () => ({
+  name: "Grahe",
+  transactions: [
+    tx("2025-01-01", "deposit", 100),
+    { ...tx("2025-01-02", "deposit", 50), jar: "Save" },
+    { ...tx("2025-01-20", "transfer", 30), from: "Spend", to: "Save" }
+  ],
+  interestRates: [band("2024-01-01", "2030-12-31", 0.12)],
+  jars: [
+    { name: "Spend", interestRates: [band("2024-01-01", "2030-12-31", 0)] },
+    { name: "Save", interestRates: [] }
+  ]
+});
+
+test("each jar earns on its own bands, falling back to the user's", () => {
+  const today = localDate("2025-03-01");
+  const sched = computeInterestSchedule(jarUser(), today);
+  const saveAlone = computeInterestSchedule({
+    name: "Save",
+    transactions: [tx("2025-01-02", "deposit", 50), tx("2025-01-20", "deposit", 30)],
+    interestRates: [band("2024-01-01", "2030-12-31", 0.12)]
+  }, today);
+
+  assert.deepEqual(sched.jars.map((j) => j.name), ["Spend", "Save"]);
+  close(sched.jars[0].currentBalanceWithInterest, 70);
+  close(sched.jars[1].currentBalanceWithInterest, saveAlone.currentBalanceWithInterest);
+  close(sched.currentBalanceWithInterest, 70 + saveAlone.currentBalanceWithInterest);
+  assert.ok(sched.interestTx.length > 0);
+  assert.ok(sched.interestTx.every((t) => t.jar === "Save"));
+});
+
+test("transfers between jars are not deposits or withdrawals overall", () => {
+  const user = jarUser();
+  const sched = computeInterestSchedule(user, localDate("2025-01-25"));
+  assert.equal(sched.baseBalance, 150);
+
+  const rows = buildAugmentedTransactions(user, localDate("2025-01-25"));
+  const transfer = rows.find((r) => r.type === "transfer");
+  assert.equal(transfer.amount, 0);
+  assert.equal(transfer.moved, 30);
+  assert.deepEqual(rows.filter((r) => r.type === "deposit").map((r) => r.jar), ["Spend", "Save"]);
+});
+
+test("History can be narrowed to one jar", () => {
+  const rows = buildAugmentedTransactions(jarUser(), localDate("2025-03-01"), false, "save");
+  assert.deepEqual(rows.map((r) => [r.type, r.amount]).slice(0, 2), [["deposit", 50], ["transfer in", 30]]);
+  assert.equal(rows[2].type, "Interest");
+  assert.deepEqual(buildAugmentedTransactions(jarUser(), localDate("2025-03-01"), false, "Nope"), []);
+});
+
+test("projections sum the jars", () => {
+  const user = jarUser();
+  const today = localDate("2025-03-01");
+  const pts = projectScenario(user, 2, today);
+  close(pts[0].balance, computeInterestSchedule(user, today).currentBalanceWithInterest);
+  close(pts[2].balance, computeInterestSchedule(user, localDate("2025-05-01")).startBalThisMonth);
+});
+
+test("jar references, transfers and jar bands are validated", () => {
+  const raw = rawBank([{
+    ...rawUser("Grahe", [
+      { ...rawTx("2025-01-01", "deposit", "5"), jar: "Toys" },
+      { ...rawTx("2025-01-02", "transfer", "5"), from: "Spend", to: null },
+      { ...rawTx("2025-01-03", "transfer", "5"), from: "save", to: "Save" }
+    ], [rawBand("2024-01-01", "2030-12-31", "0.1")]),
+    jars: [
+      { name: "Spend", interestRates: [] },
+      { name: "Save", interestRates: [rawBand("2025-01-01", "2025-06-30", "0.3"), rawBand("2025-08-01", "2030-12-31", "0.3")] }
+    ]
+  }, {
+    ...rawUser("Rowan", [{ ...rawTx("2025-01-01", "deposit", "5"), jar: "Save" }])
+  }]);
+  const issues = validateBank(raw);
+  assert.deepEqual(where(issues), [
+    ["Grahe", "transaction", 1, "jar"],
+    ["Grahe", "transaction", 2, "to"],
+    ["Grahe", "transaction", 3, "to"],
+    ["Grahe", "interestRate", 2, "startDate"],
+    ["Rowan", "transaction", 1, "jar"]
+  ]);
+  assert.match(formatIssue(issues[3]), /^Grahe › Save jar › interestRate #2/);
+});
+
+test("serializeBankXML writes jars and jar fields", () => {
+  const xml = serializeBankXML([jarUser()]);
+  assert.match(xml, /<amount>50.00<\/amount>\n {10}<jar>Save<\/jar>/);
+  assert.match(xml, /<from>Spend<\/from>\n {10}<to>Save<\/to>/);
+  assert.match(xml, /<jars>\n {8}<jar>\n {10}<name>Spend<\/name>\n {10}<interestRates>\n {12}<interestRate>\n {14}<startDate>2024-01-01<\/startDate>/);
+  assert.match(xml, /<jar>\n {10}<name>Save<\/name>\n {8}<\/jar>\n {6}<\/jars>/);
+});
+
+/* ------------------------ Statements & export ----------------------- */
+
+const statementUser = () => ({
+  name: "Grahe",
+  transactions: [
+    tx("2025-01-05", "deposit", 100),
+    tx("2025-02-03", "deposit", 20),
+    tx("2025-02-10", "withdrawal", 15),
+    tx("2025-03-04", "deposit", 5)
+  ],
+  interestRates: [band("2024-01-01", "2025-02-14", 0.12), band("2025-02-15", "2030-12-31", 0.3)]
+});
+
+test("monthlyStatement reconciles opening, activity, interest and closing", () => {
+  const user = statementUser();
+  const today = localDate("2025-04-10");
+  const st = monthlyStatement(user, "2025-02", today);
+  const jan = monthlyStatement(user, "2025-01", today);
+  const interestRows = buildAugmentedTransactions(user, today).filter((r) => r.type === "Interest");
+
+  assert.equal(st.partial, false);
+  close(st.openingBalance, jan.closingBalance);
+  assert.equal(st.deposits, 20);
+  assert.equal(st.withdrawals, 15);
+  close(st.interestCredited, interestRows.find((r) => r.date === "2025-02-28").amount);
+  close(st.closingBalance, st.openingBalance + 20 - 15 + st.interestCredited);
+  assert.deepEqual(st.rows.map((r) => [r.date, r.type]), [
+    ["2025-02-03", "deposit"], ["2025-02-10", "withdrawal"], ["2025-02-28", "Interest"]
+  ]);
+  close(st.rows[st.rows.length - 1].balance, st.closingBalance);
+  assert.deepEqual(st.rates, [
+    { startDate: "2025-02-01", endDate: "2025-02-14", rate: 0.12 },
+    { startDate: "2025-02-15", endDate: "2025-02-28", rate: 0.3 }
+  ]);
+});
+
+test("monthlyStatement marks the current month partial and rejects future months", () => {
+  const user = statementUser();
+  const today = localDate("2025-03-20");
+  const st = monthlyStatement(user, "2025-03", today);
+  assert.equal(st.partial, true);
+  assert.deepEqual(st.rows.map((r) => r.date), ["2025-03-04"]);
+  close(st.accruedInterest, computeInterestSchedule(user, today).accruedCurrentMonth);
+  assert.equal(monthlyStatement(user, "2025-04", today), null);
+  assert.equal(monthlyStatement(user, "2025-13", today), null);
+  assert.deepEqual(monthlyStatement(jarUser(), "2025-02", today).rates.map((r) => [r.jar, r.rate]), [
+    ["Spend", 0], ["Save", 0.12]
+  ]);
+});
+
+test("history exports carry a running balance and escape CSV cells", () => {
+  const rows = [
+    { date: "2025-01-05", type: "deposit", amount: 100, rule: "recurring #1, weekly" },
+    { date: "2025-01-31", type: "Interest", amount: 0.949, jar: "Save \"B\"" }
+  ];
+  assert.equal(historyToCSV(rows), [
+    "date,type,amount,moved,balance,category,memo,jar,from,to,rule",
+    '2025-01-05,deposit,100,,100,,,,,,"recurring #1, weekly"',
+    '2025-01-31,Interest,0.95,,100.95,,,"Save ""B""",,,',
+    ""
+  ].join("\r\n"));
+  const json = JSON.parse(historyToJSON({ name: "Grahe" }, rows, localDate("2025-02-01")));
+  assert.equal(json.exportedOn, "2025-02-01");
+  assert.deepEqual(json.transactions[1], { date: "2025-01-31", type: "Interest", amount: 0.95, balance: 100.95, jar: 'Save "B"' });
+});
+
+test("spanSummary reconciles the change between two dates", () => {
+  const user = statementUser();
+  const span = spanSummary(user, localDate("2025-03-20"), localDate("2025-01-31"));
+  const rows = buildAugmentedTransactions(user, localDate("2025-03-20"));
+  const interestRows = rows.filter((r) => r.type === "Interest" && r.date > "2025-01-31");
+
+  assert.equal(span.from, "2025-01-31");
+  assert.equal(span.to, "2025-03-20");
+  assert.equal(span.deposits, 25);
+  assert.equal(span.withdrawals, 15);
+  assert.equal(span.openingBalance, computeInterestSchedule(user, localDate("2025-01-31")).currentBalanceWithInterest);
+  // credited February interest plus what March has accrued so far
+  assert.equal(toCents(span.interest), interestRows.reduce((s, r) => s + toCents(r.amount), 0) +
+    toCents(computeInterestSchedule(user, localDate("2025-03-20")).accruedCurrentMonth));
+  assert.equal(toCents(span.closingBalance),
+    toCents(span.openingBalance) + toCents(span.deposits) - toCents(span.withdrawals) + toCents(span.interest));
+});
+
+/* ------------------- Tiers, parent matching & bonuses ---------------- */
+
+const tiered = (startDate, endDate, tiers) => ({ startDate, endDate, rate: tiers[0].rate, tiers });
+const matchRule = (rate, maxPerMonth = null, extra = {}) => ({ rate, maxPerMonth, startDate: "", endDate: "", ...extra });
+
+test("a tiered band pays each slice of the balance its own rate", () => {
+  const user = {
+    name: "Grahe",
+    transactions: [tx("2024-12-20", "deposit", 250)],
+    interestRates: [tiered("2025-01-01", "2025-12-31", [{ upTo: 100, rate: 0.3 }, { upTo: null, rate: 0.1 }])]
+  };
+  const sched = computeInterestSchedule(user, localDate("2025-02-10"));
+  const exact = 10000 * monthlyRateFromAPY(0.3) + 15000 * monthlyRateFromAPY(0.1);
+  assert.equal(toCents(sched.interestTx[0].amount), roundCents(exact));
+
+  // Nothing above the last ceiling when no tier is open-ended
+  user.interestRates[0].tiers = [{ upTo: 100, rate: 0.3 }];
+  const capped = computeInterestSchedule(user, localDate("2025-02-10"));
+  assert.equal(toCents(capped.interestTx[0].amount), roundCents(10000 * monthlyRateFromAPY(0.3)));
+});
+
+test("describeRate reads flat and tiered bands", () => {
+  assert.equal(describeRate(band("2025-01-01", "2025-12-31", 0.125)), "12.50%");
+  assert.equal(describeRate(tiered("2025-01-01", "2025-12-31", [{ upTo: 100, rate: 0.3 }, { upTo: null, rate: 0.1 }])),
+    "30.00% up to $100.00, 10.00% above $100.00");
+  assert.equal(describeRate(null), "0.00%");
+});
+
+test("matching pays a share of each deposit up to the monthly cap", () => {
+  const user = {
+    name: "Grahe",
+    transactions: [
+      tx("2025-01-03", "deposit", 8),
+      tx("2025-01-10", "deposit", 20),
+      tx("2025-01-12", "bonus", 5),
+      tx("2025-01-15", "withdrawal", 4),
+      tx("2025-02-01", "credit", 4.01)
+    ],
+    matching: [matchRule(0.5, 10)],
+    interestRates: []
+  };
+  const rows = buildAugmentedTransactions(user, localDate("2025-02-20"));
+  assert.deepEqual(rows.filter((r) => r.type === "Match").map((r) => [r.date, r.amount, r.rule]), [
+    ["2025-01-03", 4, "match #1, 50%"],
+    ["2025-01-10", 6, "match #1, 50%"],
+    ["2025-02-01", 2, "match #1, 50%"]   // 2.005 to the even cent
+  ]);
+  assert.equal(computeInterestSchedule(user, localDate("2025-02-20")).baseBalance, 45.01);
+  assert.deepEqual(categorySummary(rows).map((s) => [s.category, s.net]), [["Match", 12], ["", 33.01]]);
+});
+
+test("matching rules honour their dates and category", () => {
+  const user = {
+    name: "Grahe",
+    transactions: [
+      { ...tx("2025-01-03", "deposit", 10), category: "chores" },
+      { ...tx("2025-02-03", "deposit", 10), category: "chores" },
+      { ...tx("2025-02-04", "deposit", 10), category: "gifts" }
+    ],
+    matching: [matchRule(1, null, { startDate: "2025-02-01", category: "chores" })],
+    interestRates: []
+  };
+  const matches = signedTransactions(user, localDate("2025-03-01")).filter((r) => r.type === "Match");
+  assert.deepEqual(matches.map((r) => [r.date, r.amount]), [["2025-02-03", 10]]);
+});
+
+test("one monthly match cap spans all of a user's jars", () => {
+  const user = { ...jarUser(), matching: [matchRule(0.5, 40)] };
+  const rows = buildAugmentedTransactions(user, localDate("2025-01-25"));
+  assert.deepEqual(rows.filter((r) => r.type === "Match").map((r) => [r.jar, r.amount]), [["Spend", 40]]);
+  assert.equal(computeInterestSchedule(user, localDate("2025-01-25")).baseBalance, 190);
+});
+
+test("projected deposits earn parent matches too", () => {
+  const user = {
+    name: "Grahe",
+    transactions: [tx("2025-01-01", "deposit", 10)],
+    matching: [matchRule(0.5, 3)],
+    interestRates: []
+  };
+  // $10 + $3 (capped) now; the scenario's $10 on Feb 15 earns another $3
+  const points = projectScenario(user, 2, localDate("2025-01-15"), { amount: 10, frequency: "monthly" });
+  assert.deepEqual(points.map((p) => p.balance), [13, 13, 26]);
+});
+
+test("tiers and matching rules round-trip through the serializer", () => {
+  const xml = serializeBankXML([{
+    name: "Grahe",
+    transactions: [tx("2025-01-05", "bonus", 5)],
+    matching: [matchRule(0.5, 10, { category: "chores" })],
+    interestRates: [tiered("2025-01-01", "2025-12-31", [{ upTo: 100, rate: 0.3 }, { upTo: null, rate: 0.1 }])]
+  }]);
+  assert.match(xml, /<match>\n {8}<rate>0.50<\/rate>\n {8}<maxPerMonth>10.00<\/maxPerMonth>\n {8}<category>chores<\/category>\n {6}<\/match>/);
+  assert.match(xml, /<endDate>2025-12-31<\/endDate>\n {10}<tiers>\n {12}<tier>\n {14}<upTo>100.00<\/upTo>\n {14}<rate>0.30<\/rate>\n {12}<\/tier>\n {12}<tier>\n {14}<rate>0.10<\/rate>\n {12}<\/tier>\n {10}<\/tiers>\n {8}<\/interestRate>/);
+});
+
+test("validateBank checks tiers and matching rules", () => {
+  const raw = rawBank([{
+    ...rawUser("Grahe", [rawTx("2025-01-05", "bonus", "5")], [
+      { ...rawBand("2025-01-01", "2025-12-31", null), tiers: [{ upTo: null, rate: "0.3" }, { upTo: "50", rate: "x" }] },
+      { ...rawBand("2026-01-01", "2026-12-31", null), tiers: [{ upTo: "100", rate: "0.3" }, { upTo: "100", rate: "0.1" }] }
+    ]),
+    matching: [
+      { rate: "50", maxPerMonth: "10", startDate: null, endDate: null, category: null },
+      { rate: "0", maxPerMonth: "-1", startDate: "2025-03-01", endDate: "2025-02-01", category: null }
+    ]
+  }]);
+  assert.deepEqual(where(validateBank(raw)), [
+    ["Grahe", "match", 2, "rate"],
+    ["Grahe", "match", 2, "maxPerMonth"],
+    ["Grahe", "match", 2, "endDate"],
+    ["Grahe", "interestRate", 1, "upTo"],
+    ["Grahe", "interestRate", 1, "rate"],
+    ["Grahe", "interestRate", 2, "upTo"]
+  ]);
+});
+
+/* -------------------------- Family overview ------------------------- */
+
+test("familyOverview lines up every account and totals what the bank owes", () => {
+  const today = localDate("2025-03-20");
+  const users = [statementUser(), jarUser()];
+  const overview = familyOverview(users, today, localDate("2025-02-01"));
+
+  assert.equal(overview.from, "2025-02-01");
+  assert.deepEqual(overview.rows.map((r) => r.name), ["Grahe", "Grahe"]);
+  users.forEach((u, i) => {
+    const r = overview.rows[i];
+    assert.equal(r.balance, computeInterestSchedule(u, today).currentBalanceWithInterest);
+    const year = spanSummary(u, localDate("2024-12-31"), today);
+    assert.equal(r.interestThisYear, year.interest);
+    const period = spanSummary(u, localDate("2025-01-31"), today);
+    assert.deepEqual([r.deposits, r.withdrawals], [period.deposits, period.withdrawals]);
+  });
+  assert.equal(overview.rows[1].rate, "Spend 0.00%, Save 12.00%");
+  assert.equal(toCents(overview.total.balance), toCents(overview.rows[0].balance) + toCents(overview.rows[1].balance));
+  assert.deepEqual(familyOverview([], today).total, { balance: 0, interestThisMonth: 0, interestThisYear: 0, deposits: 0, withdrawals: 0 });
+});
+
+test("familyBalanceSeries samples month ends, then today", () => {
+  const today = localDate("2025-03-20");
+  const users = [statementUser(), jarUser()];
+  const { dates, series, total } = familyBalanceSeries(users, today);
+
+  assert.deepEqual(dates, ["2025-01-31", "2025-02-28", "2025-03-20"]);
+  assert.equal(series[1].balances[0], 150);
+  users.forEach((u, i) => {
+    assert.equal(series[i].balances[2], computeInterestSchedule(u, today).currentBalanceWithInterest);
+  });
+  total.forEach((t, j) => assert.equal(toCents(t), toCents(series[0].balances[j]) + toCents(series[1].balances[j])));
+});
+
+/* ------------------------ Withdrawal policies ----------------------- */
+
+const policyUser = (policy, transactions) => ({
+  name: "Grahe",
+  transactions,
+  interestRates: [band("2025-01-01", "2025-12-31", 0.12)],
+  policy: { enforce: "flag", minimumBalance: 0, penaltyMonths: 0, ...policy }
+});
+
+test("an overdrawn balance earns no interest", () => {
+  const user = { name: "Grahe", transactions: [tx("2025-01-01", "deposit", 10), tx("2025-01-02", "withdrawal", 50)], interestRates: [band("2025-01-01", "2025-12-31", 0.12)] };
+  const sched = computeInterestSchedule(user, localDate("2025-04-10"));
+  assert.equal(sched.currentBalanceWithInterest, -40);
+  assert.deepEqual(sched.interestTx, []);
+});
+
+test("a rejected overdraft stays in History at $0.00 and leaves the balance alone", () => {
+  const user = policyUser({ enforce: "reject" }, [tx("2025-01-01", "deposit", 10), tx("2025-01-02", "withdrawal", 50), tx("2025-01-03", "withdrawal", 4)]);
+  const today = localDate("2025-01-20");
+  assert.equal(computeInterestSchedule(user, today).baseBalance, 6);
+
+  const rows = buildAugmentedTransactions(user, today);
+  assert.deepEqual(rows.map((r) => [r.amount, !!r.rejected, r.policy || ""]), [
+    [10, false, ""],
+    [0, true, "overdraws the balance to -$40.00"],
+    [-4, false, ""]
+  ]);
+  assert.equal(rows[1].requested, -50);
+});
+
+test("flagged withdrawals go through; the minimum balance counts credited interest", () => {
+  const user = policyUser({ minimumBalance: 5 }, [tx("2024-12-15", "deposit", 100), tx("2025-02-02", "withdrawal", 95.5)]);
+  const today = localDate("2025-02-10");
+  const sched = computeInterestSchedule(user, today);
+  const interest = sched.interestTx[0].amount;   // January's, credited Jan 31
+  assert.ok(interest > 0.5);
+  assert.deepEqual(sched.policyEvents, []);
+
+  user.transactions.push(tx("2025-02-03", "withdrawal", interest));
+  const events = computeInterestSchedule(user, today).policyEvents;
+  assert.deepEqual(events.map((e) => [e.date, e.action, e.reasons]), [
+    ["2025-02-03", "flagged", [`leaves $${(4.5).toFixed(2)}, under the $5.00 minimum`]]
+  ]);
+  assert.equal(toCents(computeInterestSchedule(user, today).baseBalance), 450 - toCents(interest));
+});
+
+test("locked deposits: early withdrawals break the policy, or cost interest with penaltyMonths", () => {
+  const txs = () => [
+    tx("2025-01-01", "deposit", 20),
+    { ...tx("2025-01-01", "deposit", 100), lockedUntil: "2025-07-01" },
+    tx("2025-01-20", "withdrawal", 50)
+  ];
+  const today = localDate("2025-01-25");
+
+  const flagged = policyUser({}, txs());
+  assert.deepEqual(computeInterestSchedule(flagged, today).policyEvents.map((e) => e.reasons), [["takes $30.00 locked until 2025-07-01"]]);
+
+  const penalized = policyUser({ penaltyMonths: 3 }, txs());
+  const rows = buildAugmentedTransactions(penalized, today);
+  const penalty = rows.find((r) => r.type === "Penalty");
+  assert.equal(penalty.date, "2025-01-20");
+  assert.equal(penalty.rule, "early withdrawal of $30.00");
+  assert.equal(toCents(penalty.amount), -roundCents(3000 * monthlyRateFromAPY(0.12) * 3));
+  assert.deepEqual(computeInterestSchedule(penalized, today).policyEvents, []);
+
+  // After maturity the same withdrawal is free
+  penalized.transactions[2].date = "2025-07-02";
+  assert.equal(computeInterestSchedule(penalized, localDate("2025-07-10")).penaltyTx.length, 0);
+});
+
+test("jars apply the policy to their own balance", () => {
+  const user = { ...jarUser(), policy: { enforce: "reject", minimumBalance: 0, penaltyMonths: 0 } };
+  user.transactions.push({ ...tx("2025-01-21", "withdrawal", 80), jar: "Save" }, { ...tx("2025-01-21", "withdrawal", 80) });
+  const today = localDate("2025-01-25");
+  const rows = buildAugmentedTransactions(user, today).filter((r) => r.date === "2025-01-21");
+  assert.deepEqual(rows.map((r) => [r.jar, r.amount, !!r.rejected]), [["Save", -80, false], ["Spend", 0, true]]);
+  assert.equal(computeInterestSchedule(user, today).baseBalance, 70);
+
+  assert.deepEqual(policyIssues([user], today).map(formatIssue), [
+    "Grahe › Spend jar: 2025-01-21 withdrawal of $80.00 rejected: overdraws the balance to -$10.00."
+  ]);
+});
+
+test("projections start from the policy-enforced balance", () => {
+  const user = policyUser({ enforce: "reject" }, [tx("2025-01-01", "deposit", 10), tx("2025-01-02", "withdrawal", 50)]);
+  const points = projectScenario(user, 2, localDate("2025-02-10"));
+  assert.equal(points[0].balance, computeInterestSchedule(user, localDate("2025-02-10")).currentBalanceWithInterest);
+  assert.ok(points[2].balance > 10);
+});
+
+test("policy and locks are written and validated", () => {
+  const xml = serializeBankXML([{ ...policyUser({ enforce: "reject", minimumBalance: 5, penaltyMonths: 3 }, [{ ...tx("2025-01-01", "deposit", 100), lockedUntil: "2025-07-01" }]) }]);
+  assert.match(xml, /<name>Grahe<\/name>\n {6}<policy>\n {8}<enforce>reject<\/enforce>\n {8}<minimumBalance>5.00<\/minimumBalance>\n {8}<penaltyMonths>3<\/penaltyMonths>\n {6}<\/policy>/);
+  assert.match(xml, /<amount>100.00<\/amount>\n {10}<lockedUntil>2025-07-01<\/lockedUntil>/);
+
+  const raw = rawBank([
+    { ...rawUser("Grahe", [{ ...rawTx("2025-01-01", "withdrawal", "5"), lockedUntil: "2025-07-01" }]), policy: { enforce: "block", minimumBalance: "-1", penaltyMonths: null } },
+    rawUser("Rowan", [{ ...rawTx("2025-01-01", "deposit", "5"), lockedUntil: "2025-07-01" }])
+  ]);
+  assert.deepEqual(where(validateBank(raw)), [
+    ["Grahe", "policy", null, "enforce"],
+    ["Grahe", "policy", null, "minimumBalance"],
+    ["Grahe", "transaction", 1, "lockedUntil"],
+    ["Rowan", "transaction", 1, "lockedUntil"]
+  ]);
+});
+
+/* ------------------------------- PINs ------------------------------- */
+
+test("hashPin stores a salted hash that verifyPin accepts only for the right PIN", async () => {
+  const stored = await hashPin("2468", null, 1000);
+  assert.match(stored, /^pbkdf2-sha256\$1000\$[0-9a-f]{32}\$[0-9a-f]{64}$/);
+  assert.ok(!stored.includes("2468"));
+  assert.equal(await verifyPin("2468", stored), true);
+  assert.equal(await verifyPin("2469", stored), false);
+  assert.equal(await verifyPin("2468", "2468"), false);
+  assert.notEqual(await hashPin("2468", null, 1000), stored);
+  assert.equal(await hashPin("2468", stored.split("$")[2], 1000), stored);
+});
+
+test("loginRole tells the parent PIN from a child's", async () => {
+  const parentPin = await hashPin("9999", "01", 1000);
+  const user = { name: "Grahe", pin: await hashPin("1357", "02", 1000) };
+  assert.equal(await loginRole("9999", user, parentPin), "parent");
+  assert.equal(await loginRole("1357", user, parentPin), "child");
+  assert.equal(await loginRole("1111", user, parentPin), null);
+  assert.equal(await loginRole("", { name: "Rowan" }, parentPin), "child");
+});
+
+test("without a parent PIN every login gets the parent role", async () => {
+  const user = { name: "Grahe", pin: await hashPin("1357", "02", 1000) };
+  assert.equal(await loginRole("", { name: "Rowan" }, ""), "parent");
+  assert.equal(await loginRole("1357", user, ""), "parent");
+  assert.equal(await loginRole("1111", user, ""), null);
+  // A malformed parentPin is reported by validation and locks nothing
+  assert.equal(await loginRole("", { name: "Rowan" }, "0000"), "parent");
+});
+
+test("isValidPin takes 4 to 8 digits", () => {
+  assert.equal(isValidPin("1234"), true);
+  assert.equal(isValidPin("12345678"), true);
+  assert.equal(isValidPin("123"), false);
+  assert.equal(isValidPin("12a4"), false);
+});
+
+test("PINs are written and validated as hashes", async () => {
+  const stored = await hashPin("1357", "00ff", 1000);
+  const xml = serializeBankXML([{ name: "Grahe", pin: stored, transactions: [], interestRates: [] }], { parentPin: stored });
+  assert.match(xml, /^<\?xml[^\n]*\n<bank>\n {2}<parentPin>pbkdf2-sha256\$1000\$00ff\$[0-9a-f]{64}<\/parentPin>\n {2}<users>/);
+  assert.match(xml, /<name>Grahe<\/name>\n {6}<pin>pbkdf2/);
+
+  const raw = { ...rawBank([{ ...rawUser("Grahe", []), pin: "1357" }, { ...rawUser("Rowan", []), pin: stored }]), parentPin: "0000" };
+  assert.deepEqual(where(validateBank(raw)), [
+    [null, "file", null, "parentPin"],
+    ["Grahe", "user", null, "pin"]
+  ]);
+});
+
+
+/* ------------------------ JSON state & CSV import -------------------- */
+
+test("serializeBankJSON round-trips every field through parseBankJSON", () => {
+  const user = {
+    name: "Grahe",
+    pin: "pbkdf2-sha256$1000$00ff$" + "0".repeat(64),
+    compounding: "daily",
+    policy: { enforce: "reject", minimumBalance: 5, penaltyMonths: 3 },
+    transactions: [
+      tx("2025-01-01", "deposit", 100.5),
+      { ...tx("2025-01-02", "deposit", 50), jar: "Save", memo: "birthday, from \"Gran\"", category: "gifts", lockedUntil: "2025-07-01" },
+      { ...tx("2025-01-20", "transfer", 30), from: "Spend", to: "Save" }
+    ],
+    recurring: [{ amount: 5, type: "deposit", frequency: "weekly", startDate: "2025-01-04", endDate: "", jar: "Save" }],
+    matching: [matchRule(0.5, 20, { startDate: "2025-01-01", category: "chores" }), matchRule(0.25)],
+    interestRates: [
+      band("2024-01-01", "2024-12-31", 0.02),
+      tiered("2025-01-01", "2030-12-31", [{ upTo: 100, rate: 0.3 }, { upTo: null, rate: 0.1 }])
+    ],
+    goals: [{ name: "Bike", target: 120, targetDate: "2025-09-01" }],
+    jars: [
+      { name: "Spend", interestRates: [band("2024-01-01", "2030-12-31", 0)] },
+      { name: "Save", interestRates: [] }
+    ]
+  };
+  const json = serializeBankJSON([user], { parentPin: user.pin });
+  assert.deepEqual(parseBankJSON(json), [user]);
+
+  const data = JSON.parse(json);
+  assert.equal(data.parentPin, user.pin);
+  assert.deepEqual(data.users[0].interestRates[1].tiers, [{ upTo: 100, rate: 0.3 }, { rate: 0.1 }]);
+  assert.equal("rate" in data.users[0].interestRates[1], false);
+  assert.deepEqual(Object.keys(data.users[0].matching[1]), ["rate"]);
+});
+
+test("readBankJSON gives the raw records validateBank checks", () => {
+  const raw = readBankJSON(JSON.stringify({
+    users: [{ name: "Grahe", transactions: [{ date: "2025-01-01", type: "deposit", amount: 41 }, { date: "2025-13-01", type: "deposit", amount: "ten" }], interestRates: [{ startDate: "2025-01-01", endDate: "2025-12-31", rate: 30 }] }]
+  }));
+  assert.deepEqual(raw.users[0].transactions[0], { date: "2025-01-01", type: "deposit", amount: "41", jar: null, from: null, to: null, memo: null, category: null, lockedUntil: null });
+  assert.equal(raw.users[0].interestRates[0].rate, "30");
+  assert.deepEqual(where(validateBank(raw)), [
+    ["Grahe", "transaction", 2, "date"],
+    ["Grahe", "transaction", 2, "amount"]
+  ]);
+
+  const bad = validateBank(readBankJSON("{ \"users\": [ }"));
+  assert.equal(bad.length, 1);
+  assert.match(bad[0].message, /^The file is not well-formed JSON: /);
+  assert.deepEqual(where(validateBank(readBankJSON("[]"))), [[null, "file", null, null]]);
+  assert.deepEqual(where(validateBank(readBankJSON("{}"))), [[null, "file", null, "users"]]);
+});
+
+test("parseCSV handles quotes, CRLF, a byte-order mark and blank lines", () => {
+  const text = '\uFEFFDate,Amount,Memo\r\n2025-01-02,"1,200.00","said ""thanks"""\r\n\r\n2025-01-03,5,"two\nlines"\n2025-01-04,6,';
+  assert.deepEqual(parseCSV(text), [
+    ["Date", "Amount", "Memo"],
+    ["2025-01-02", "1,200.00", 'said "thanks"'],
+    ["2025-01-03", "5", "two\nlines"],
+    ["2025-01-04", "6", ""]
+  ]);
+});
+
+test("csvImportRows maps columns and flags duplicates and invalid rows", () => {
+  const user = { name: "Grahe", transactions: [tx("2025-01-02", "deposit", 10), tx("2025-01-05", "withdrawal", 3)], interestRates: [] };
+  const table = parseCSV([
+    "When,What,Amount,Note",
+    "2025-01-02,Deposit,$10.00,allowance",   // already recorded
+    "1/2/2025,deposit,10,",                  // same as the line before
+    "1/3/2025,deposit,10,",
+    "2025-01-05,,(3.00),",                   // no type: the sign says withdrawal
+    "2025-01-06,bonus,2.5,chores",
+    "2025-02-30,deposit,1,",
+    "2025-01-07,deposit,abc,",
+    "2025-01-08,gift,1,"
+  ].join("\n"));
+
+  const rows = csvImportRows(user, table, { date: 0, type: 1, amount: 2, memo: 3, category: null });
+  assert.deepEqual(rows.map((r) => [r.line, r.status]), [
+    [2, "duplicate"], [3, "duplicate"], [4, "new"], [5, "duplicate"], [6, "new"], [7, "invalid"], [8, "invalid"], [9, "invalid"]
+  ]);
+  assert.deepEqual(rows[0].tx, { date: "2025-01-02", type: "deposit", amount: 10, memo: "allowance" });
+  assert.equal(rows[0].message, "Already recorded.");
+  assert.equal(rows[1].message, "Same as line 2.");
+  assert.deepEqual(rows[4].tx, { date: "2025-01-06", type: "bonus", amount: 2.5, memo: "chores" });
+  assert.equal(rows[3].tx.type, "withdrawal");
+  assert.match(rows[7].message, /^Unknown type "gift"/);
+
+  // Without a type column the sign decides
+  const signed = csvImportRows(user, table, { date: 0, type: null, amount: 2, memo: null, category: 3 });
+  assert.deepEqual(signed.slice(0, 5).map((r) => r.tx && [r.tx.type, r.status]), [
+    ["deposit", "duplicate"], ["deposit", "duplicate"], ["deposit", "new"], ["withdrawal", "duplicate"], ["deposit", "new"]
+  ]);
+  assert.equal(signed[0].tx.category, "allowance");
+});
+
+/* ----------------------------- Change log --------------------------- */
+
+const loggedUser = () => ({
+  name: "Grahe",
+  transactions: [tx("2025-01-05", "deposit", 20), tx("2025-01-02", "deposit", 100), tx("2025-01-10", "withdrawal", 15)],
+  interestRates: [band("2025-01-01", "2025-12-31", 0)]
+});
+const at = new Date("2025-02-01T12:00:00Z");
+const balanceOf = (user) => computeInterestSchedule(user, localDate("2025-02-10")).currentBalanceWithInterest;
+
+test("recordChange rebuilds the transactions without touching the originals", () => {
+  const user = loggedUser();
+  assert.equal(transactionId(user, 2), 3);
+  recordChange(user, { action: "corrected", tx: transactionId(user, 0), reason: "was $20", transaction: tx("2025-01-05", "deposit", 25) }, at);
+  assert.deepEqual(user.changeLog.base, loggedUser().transactions);
+  assert.deepEqual(user.transactions.map((t) => [t.id, t.amount]), [[2, 100], [1, 25], [3, 15]]);
+  assert.equal(user.transactions[1].corrected, "was $20");
+
+  const added = recordChange(user, { action: "added", reason: "", transaction: tx("2025-01-20", "deposit", 7) }, at);
+  assert.deepEqual(added, { at: "2025-02-01T12:00:00.000Z", action: "added", reason: "", tx: 4, transaction: tx("2025-01-20", "deposit", 7) });
+  recordChange(user, { action: "voided", tx: 3, reason: "never happened" }, at);
+  assert.equal(balanceOf(user), 132);
+
+  // The voided row stays in History at $0
+  const rows = buildAugmentedTransactions(user, localDate("2025-02-10"));
+  const voided = rows.find((r) => r.voided);
+  assert.deepEqual([voided.date, voided.amount, voided.requested, voided.voided], ["2025-01-10", 0, -15, "never happened"]);
+  assert.equal(rows.length, 4);
+});
+
+test("revertChange undoes any change and redoes it", () => {
+  const user = loggedUser();
+  recordChange(user, { action: "voided", tx: 2, reason: "duplicate" }, at);
+  recordChange(user, { action: "corrected", tx: 1, reason: "typo", transaction: tx("2025-01-05", "deposit", 30) }, at);
+  assert.equal(balanceOf(user), 15);
+
+  revertChange(user, 1, "not a duplicate after all", at);   // change #3
+  assert.equal(balanceOf(user), 115);
+  revertChange(user, 2, "typo was right", at);              // #4
+  assert.equal(balanceOf(user), 105);
+  revertChange(user, 1, "it was a duplicate", at);          // redo #1 = revert #3
+  assert.deepEqual(user.changeLog.changes[4], { at: "2025-02-01T12:00:00.000Z", action: "reverted", reason: "it was a duplicate", undoes: 3 });
+  assert.equal(balanceOf(user), 5);
+  assert.equal(user.changeLog.changes.length, 5);
+});
+
+test("the change log is written with the state and read back", () => {
+  const user = loggedUser();
+  recordChange(user, { action: "added", reason: "Imported from bank.csv", transaction: { ...tx("2025-01-20", "deposit", 7), memo: "gift" } }, at);
+  recordChange(user, { action: "voided", tx: 3, reason: "never happened" }, at);
+  recordChange(user, { action: "reverted", undoes: 2, reason: "it did" }, at);
+
+  const xml = serializeBankXML([user]);
+  assert.match(xml, /<\/transactions>\n {6}<changes>\n {8}<change>\n {10}<at>2025-02-01T12:00:00.000Z<\/at>\n {10}<action>added<\/action>\n {10}<tx>4<\/tx>\n {10}<reason>Imported from bank.csv<\/reason>\n {10}<transaction>\n {12}<date>2025-01-20<\/date>/);
+  assert.match(xml, /<action>reverted<\/action>\n {10}<undoes>2<\/undoes>/);
+  assert.equal((xml.match(/<amount>/g) || []).length, 4);
+
+  const [back] = parseBankJSON(serializeBankJSON([user]));
+  assert.deepEqual(back.changeLog, user.changeLog);
+  assert.deepEqual(back.transactions, user.transactions);
+});
+
+test("change log entries are validated", () => {
+  const change = (action, fields, transaction = null) => ({ at: "2025-02-01T12:00:00Z", action, tx: null, undoes: null, reason: "why", ...fields, transaction });
+  const raw = rawBank([{
+    ...rawUser("Grahe", [rawTx("2025-01-02", "deposit", "100.00")]),
+    changes: [
+      change("added", { tx: "2" }, rawTx("2025-01-03", "deposit", "5")),   // fine
+      change("added", { tx: "2" }, rawTx("2025-01-04", "deposit", "x")),   // number taken, bad amount
+      change("voided", { tx: "9", reason: null }),
+      change("corrected", { tx: "1", at: "soon" }),
+      change("reverted", { undoes: "5" }),
+      change("erased", {})
+    ]
+  }]);
+  assert.deepEqual(where(validateBank(raw)), [
+    ["Grahe", "change", 2, "tx"],
+    ["Grahe", "change", 2, "amount"],
+    ["Grahe", "change", 3, "reason"],
+    ["Grahe", "change", 3, "tx"],
+    ["Grahe", "change", 4, "at"],
+    ["Grahe", "change", 4, "transaction"],
+    ["Grahe", "change", 5, "undoes"],
+    ["Grahe", "change", 6, "action"]
+  ]);
+});
+
+test("setting changes keep what they replaced and are undone like transactions", () => {
+  const user = loggedUser();
+  const policy = { enforce: "reject", minimumBalance: 10, penaltyMonths: 0 };
+  recordChange(user, { action: "rates-changed", reason: "raise", value: [band("2025-01-01", "2025-12-31", 0.12)] }, at);
+  recordChange(user, { action: "policy-changed", reason: "no overdrafts", value: policy }, at);
+  recordChange(user, { action: "renamed", reason: "nickname", value: "Gracie" }, at);
+  assert.deepEqual(user.changeLog.changes[0].previous, [band("2025-01-01", "2025-12-31", 0)]);
+  assert.equal(user.changeLog.changes[1].previous, null);
+  assert.deepEqual([user.name, user.interestRates[0].rate, user.policy], ["Gracie", 0.12, policy]);
+
+  revertChange(user, 1, "too generous", at);
+  revertChange(user, 2, "overdrafts are fine", at);
+  assert.deepEqual([user.name, user.interestRates[0].rate, "policy" in user], ["Gracie", 0, false]);
+  revertChange(user, 1, "promised after all", at);
+  assert.equal(user.interestRates[0].rate, 0.12);
+  assert.equal(user.changeLog.settings.name, "Grahe");
+});
+
+test("a deleted user stays in the file until the deletion is undone", () => {
+  const users = [loggedUser(), { ...loggedUser(), name: "Sam" }];
+  recordChange(users[0], { action: "deleted", reason: "moved out" }, at);
+  assert.equal(users[0].deleted, "moved out");
+  assert.deepEqual(activeUsers(users).map((u) => u.name), ["Sam"]);
+
+  const back = parseBankJSON(serializeBankJSON(users));
+  assert.deepEqual(activeUsers(back).map((u) => u.name), ["Sam"]);
+  revertChange(back[0], 1, "moved back", at);
+  assert.deepEqual(activeUsers(back).map((u) => u.name), ["Grahe", "Sam"]);
+});
+
+test("setting changes are written with the state and read back", () => {
+  const user = loggedUser();
+  recordChange(user, { action: "matching-changed", reason: "summer match", value: [{ rate: 0.5, maxPerMonth: 20, startDate: "", endDate: "" }] }, at);
+  recordChange(user, { action: "compounding-changed", reason: "simpler", value: "daily" }, at);
+  recordChange(user, { action: "policy-changed", reason: "trial", value: { enforce: "flag", minimumBalance: 5, penaltyMonths: 0 } }, at);
+
+  // <user> keeps the settings as first recorded; each change its <value> and <previous>
+  const xml = serializeBankXML([user]);
+  assert.match(xml, /<name>Grahe<\/name>\n {6}<transactions>/);
+  assert.match(xml, /<action>matching-changed<\/action>\n {10}<reason>summer match<\/reason>\n {10}<value>\n {12}<match>\n {14}<rate>0.50<\/rate>/);
+  assert.match(xml, /<value>\n {12}<compounding>daily<\/compounding>\n {10}<\/value>\n {10}<previous>\n {12}<compounding>monthly<\/compounding>/);
+  assert.match(xml, /<action>policy-changed<\/action>\n {10}<reason>trial<\/reason>\n {10}<value>\n {12}<policy>[\s\S]*?<\/value>\n {10}<previous>\n {10}<\/previous>/);
+
+  const [back] = parseBankJSON(serializeBankJSON([user]));
+  assert.deepEqual(back.changeLog, user.changeLog);
+  assert.deepEqual([back.compounding, back.matching, back.policy], [user.compounding, user.matching, user.policy]);
+});
+
+test("setting changes are validated", () => {
+  const settings = (fields) => ({ name: null, compounding: null, policy: null, matching: [], interestRates: [], ...fields });
+  const change = (action, value, reason = "why") => ({ at: "2025-02-01T12:00:00Z", action, tx: null, undoes: null, reason, transaction: null, value, previous: null });
+  const raw = rawBank([{
+    ...rawUser("Grahe", [rawTx("2025-01-02", "deposit", "100.00")]),
+    changes: [
+      change("rates-changed", settings({ interestRates: [{ startDate: "2025-01-01", endDate: "2025-12-31", rate: "10" }] })),   // fine
+      change("rates-changed", settings({ interestRates: [{ startDate: "2025-01-01", endDate: "2024-12-31", rate: "x" }] })),
+      change("matching-changed", settings({ matching: [{ rate: "0", maxPerMonth: null, startDate: null, endDate: null, category: null }] })),
+      change("compounding-changed", settings({ compounding: "hourly" })),
+      change("renamed", settings({}), null),
+      change("policy-changed", null),
+      change("deleted", null, "moved out")   // fine
+    ]
+  }]);
+  const issues = validateBank(raw);
+  assert.deepEqual(where(issues), [
+    ["Grahe", "change", 2, "endDate"],
+    ["Grahe", "change", 2, "rate"],
+    ["Grahe", "change", 3, "rate"],
+    ["Grahe", "change", 4, "compounding"],
+    ["Grahe", "change", 5, "reason"],
+    ["Grahe", "change", 5, "name"],
+    ["Grahe", "change", 6, "value"]
+  ]);
+  assert.equal(issues[2].message, 'match #1: "0" is not a positive rate.');
+});
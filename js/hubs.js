@@ -0,0 +1,207 @@
+/*
+	Danko Lab track hub catalog
+
+	Builds the hub pages from the hubs' own UCSC configuration files, so
+	publishing a hub means dropping its hub.txt, genomes.txt and
+	trackDb.txt files under hub/ and listing its hub.txt in hub/hubs.txt.
+
+	#hub-catalog takes either
+		data-list="hubs.txt"   a manifest: one hub.txt path per line, # for comments
+		data-hub="hub.txt"     a single hub
+	Paths are relative to the page; paths inside hub files are relative to
+	the file that names them, as the UCSC browser reads them. Hubs written
+	with "useOneFile on" (genome and tracks inside hub.txt) work too.
+
+	For every assembly we list the tracks from trackDb.txt (composites and
+	super tracks with their children) and link to the UCSC and WashU
+	browsers with the hub attached.
+*/
+
+(function ($) {
+	'use strict';
+
+	var UCSC_URL = 'https://genome.ucsc.edu/cgi-bin/hgTracks';
+	var WASHU_URL = 'https://epigenomegateway.wustl.edu/browser/';
+
+	/* ------------------------------ Parsing ---------------------------- */
+
+	// Absolute URL for path, resolved against base (an absolute URL)
+	function resolve(path, base) {
+		return new URL(path, base).href;
+	}
+
+	// UCSC settings text -> [{ setting: value }], one object per stanza.
+	// Stanzas are separated by blank lines; "#" starts a comment line and a
+	// trailing "\" continues a line.
+	function parseStanzas(text) {
+		var stanzas = [], current = null;
+		var lines = String(text).replace(/\r\n?/g, '\n').replace(/\\\n\s*/g, ' ').split('\n');
+		lines.forEach(function (line) {
+			line = line.trim();
+			if (!line) {
+				current = null;
+				return;
+			}
+			if (line.charAt(0) === '#') return;
+			var space = line.search(/\s/);
+			var key = space < 0 ? line : line.slice(0, space);
+			var value = space < 0 ? '' : line.slice(space).trim();
+			if (!current) stanzas.push(current = {});
+			current[key] = value;
+		});
+		return stanzas;
+	}
+
+	// Track stanzas -> top-level tracks, each with children[] from "parent"
+	function trackTree(stanzas) {
+		var byName = {}, roots = [];
+		var tracks = stanzas.filter(function (s) { return s.track; });
+		tracks.forEach(function (t) {
+			t.children = [];
+			byName[t.track] = t;
+		});
+		tracks.forEach(function (t) {
+			var parent = t.parent ? byName[t.parent.split(/\s+/)[0]] : null;
+			(parent ? parent.children : roots).push(t);
+		});
+		return roots;
+	}
+
+	function fetchText(url) {
+		return $.ajax({ url: url, dataType: 'text' });
+	}
+
+	// Resolves to { url, settings, genomes: [{ genome, settings, trackDbUrl, tracks, error }] }
+	function loadHub(url) {
+		return fetchText(url).then(function (text) {
+			var stanzas = parseStanzas(text);
+			var hub = { url: url, settings: stanzas[0] || {}, genomes: [] };
+
+			if (hub.settings.useOneFile === 'on') {
+				var genome = stanzas.filter(function (s) { return s.genome; })[0];
+				if (genome) hub.genomes.push({ genome: genome.genome, settings: genome, trackDbUrl: url, tracks: trackTree(stanzas) });
+				return hub;
+			}
+			if (!hub.settings.genomesFile) return $.Deferred().reject('no genomesFile in hub.txt').promise();
+
+			var genomesUrl = resolve(hub.settings.genomesFile, url);
+			return fetchText(genomesUrl).then(function (text) {
+				var loads = parseStanzas(text).filter(function (s) { return s.genome; }).map(function (s) {
+					var g = { genome: s.genome, settings: s, trackDbUrl: s.trackDb ? resolve(s.trackDb, genomesUrl) : null, tracks: [] };
+					hub.genomes.push(g);
+					if (!g.trackDbUrl) return $.Deferred().resolve().promise();
+					// A missing trackDb.txt is reported under its assembly, not as a failed hub
+					return fetchText(g.trackDbUrl).then(function (text) {
+						g.tracks = trackTree(parseStanzas(text));
+					}, function () {
+						g.error = 'trackDb file not found';
+						return $.Deferred().resolve().promise();
+					});
+				});
+				return $.when.apply($, loads).then(function () { return hub; });
+			});
+		});
+	}
+
+	/* ------------------------------ Links ------------------------------ */
+
+	function ucscLink(hub, genome) {
+		// Assembly hubs carry their own sequence and are opened by genome name
+		var param = genome.settings.twoBitPath ? 'genome' : 'db';
+		return UCSC_URL + '?' + param + '=' + encodeURIComponent(genome.genome) + '&hubUrl=' + encodeURIComponent(hub.url);
+	}
+
+	// WashU only serves its own assemblies, so assembly hubs get no link
+	function washuLink(hub, genome) {
+		if (genome.settings.twoBitPath) return null;
+		return WASHU_URL + '?genome=' + encodeURIComponent(genome.genome) + '&trackhub=' + encodeURIComponent(hub.url);
+	}
+
+	/* ----------------------------- Rendering --------------------------- */
+
+	function esc(text) {
+		return $('<div>').text(text === undefined || text === null ? '' : String(text)).html();
+	}
+
+	function trackHTML(track, trackDbUrl) {
+		var html = '<li><strong>' + esc(track.shortLabel || track.track) + '</strong>';
+		if (track.longLabel && track.longLabel !== track.shortLabel) html += ' &mdash; ' + esc(track.longLabel);
+		var type = track.type ? track.type.split(/\s+/)[0] : (track.compositeTrack === 'on' ? 'composite' : track.superTrack ? 'super track' : '');
+		if (type) html += ' <span class="hub-type">(' + esc(type) + ')</span>';
+		if (track.html) html += ' <a href="' + esc(resolve(/\.html?$/.test(track.html) ? track.html : track.html + '.html', trackDbUrl)) + '">Description</a>';
+		if (track.bigDataUrl) html += ' <a href="' + esc(resolve(track.bigDataUrl, trackDbUrl)) + '">Download</a>';
+		if (track.children.length) {
+			html += '<ul>' + track.children.map(function (c) { return trackHTML(c, trackDbUrl); }).join('') + '</ul>';
+		}
+		return html + '</li>';
+	}
+
+	function countTracks(tracks) {
+		return tracks.reduce(function (n, t) { return n + 1 + countTracks(t.children); }, 0);
+	}
+
+	function genomeHTML(hub, genome) {
+		var s = genome.settings;
+		var about = [s.organism, s.description].filter(Boolean).join(', ');
+		var html = '<div class="hub-genome"><h3>' + esc(genome.genome) + (about ? ' <span>(' + esc(about) + ')</span>' : '') + '</h3>';
+		var washu = washuLink(hub, genome);
+		html += '<p>Open in the <a href="' + esc(ucscLink(hub, genome)) + '">UCSC Genome Browser</a>' +
+			(washu ? ' or the <a href="' + esc(washu) + '">WashU Epigenome Browser</a>' : '') + '.</p>';
+		if (genome.error) {
+			html += '<p class="hub-error">Tracks unavailable: ' + esc(genome.error) + '.</p>';
+		} else if (!genome.tracks.length) {
+			html += '<p>No tracks listed.</p>';
+		} else {
+			html += '<p>' + countTracks(genome.tracks) + ' tracks:</p><ul class="hub-tracks">' +
+				genome.tracks.map(function (t) { return trackHTML(t, genome.trackDbUrl); }).join('') + '</ul>';
+		}
+		return html + '</div>';
+	}
+
+	function hubHTML(hub) {
+		var s = hub.settings;
+		var html = '<div class="hub"><h2>' + esc(s.shortLabel || s.hub || hub.url) + '</h2>';
+		if (s.longLabel) html += '<p>' + esc(s.longLabel) + '</p>';
+		html += '<p>Hub URL: <code>' + esc(hub.url) + '</code>';
+		if (s.descriptionUrl) html += ' &middot; <a href="' + esc(resolve(s.descriptionUrl, hub.url)) + '">About this hub</a>';
+		if (s.email) html += ' &middot; Contact: <a href="mailto:' + esc(s.email) + '">' + esc(s.email) + '</a>';
+		html += '</p>';
+		return html + hub.genomes.map(function (g) { return genomeHTML(hub, g); }).join('') + '</div>';
+	}
+
+	/* ------------------------------ Startup ---------------------------- */
+
+	function renderHubs($catalog, urls) {
+		// Nothing listed: the page's own links stand alone
+		$catalog.empty();
+		urls.forEach(function (url) {
+			var $slot = $('<div class="hub-slot"><p>Loading ' + esc(url) + '&hellip;</p></div>').appendTo($catalog);
+			loadHub(url).done(function (hub) {
+				$slot.html(hubHTML(hub));
+			}).fail(function (err) {
+				$slot.html('<p class="hub-error">Could not read the hub at <code>' + esc(url) + '</code>' +
+					(typeof err === 'string' ? ': ' + esc(err) : '') + '.</p>');
+			});
+		});
+	}
+
+	$(function () {
+		var $catalog = $('#hub-catalog');
+		if (!$catalog.length) return;
+		var page = document.location.href;
+
+		if ($catalog.data('hub')) {
+			renderHubs($catalog, [resolve($catalog.data('hub'), page)]);
+			return;
+		}
+		var listUrl = resolve($catalog.data('list') || 'hubs.txt', page);
+		fetchText(listUrl).done(function (text) {
+			var urls = text.split(/\r?\n/).map(function (l) { return l.trim(); })
+				.filter(function (l) { return l && l.charAt(0) !== '#'; })
+				.map(function (l) { return resolve(l, listUrl); });
+			renderHubs($catalog, urls);
+		}).fail(function () {
+			$catalog.html('<p class="hub-error">Could not read the hub list.</p>');
+		});
+	});
+})(jQuery);
@@ -38,7 +38,10 @@ skel.init({
 				position: 'left',
 				style: 'reveal',
 				size: '80%',
-				html: '<div data-action="navList" data-args="nav"></div>'
+				html: '<form class="site-search" action="#" role="search">' +
+					'<input type="search" name="q" placeholder="Search the site" autocomplete="off" aria-label="Search the site" />' +
+					'<div class="site-search-results"></div></form>' +
+					'<div data-action="navList" data-args="nav"></div>'
 			}
 		},
 		overlays: {
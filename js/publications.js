@@ -0,0 +1,376 @@
+/*
+	Danko Lab publications list
+
+	Renders ul.publist on Publications.html from one structured file, named
+	by the list's data-src attribute: JSON (files/publications.json) or
+	BibTeX (any .bib file). The lab roster named by data-members
+	(files/team.json, which also builds Team.html) lists each person's
+	authorNames with the start and end years of their time in the lab; a
+	name is underlined on papers from those years (and up to PUBLICATION_DELAY
+	years after they left), so others with the same surname and initials are
+	not. An entry's "labAuthors" (labauthors in BibTeX) lists its lab authors
+	outright where a name is ambiguous. Above the list: text search and filters by year, venue and
+	preprint vs published; each entry can be copied as BibTeX or RIS.
+
+	JSON entries look like
+		{ "id": "munn2025accurate", "type": "article" | "preprint",
+		  "title": "...", "authors": ["Munn PR", "Danko CG*"], "year": 2025,
+		  "venue": "Genome Research", "url": "...",
+		  "preprint": { "server": "bioRxiv", "url": "..." },      (optional)
+		  "links": [{ "label": "Software", "text": "Github", "url": "..." }],
+		  "notes": [{ "text": "Featured in a", "link": "perspective piece", "url": "..." }],
+		  "labAuthors": ["Munn PR", "Danko CG"],                  (optional)
+		  "entryType": "inproceedings" }                          (optional BibTeX type)
+	with authors in citation form ("Surname Initials"; * = equal contribution).
+	Without entryType, articles export as @article and preprints as @misc.
+*/
+
+(function ($) {
+	'use strict';
+
+	var PREPRINT_SERVERS = ['arxiv', 'biorxiv', 'medrxiv'];
+	var EARLY_YEAR = 2010;	// this year and before share one heading, as on the old page
+	var PUBLICATION_DELAY = 3;	// years after leaving that a member's work may still appear
+
+	// BibTeX field that names the venue, by entry type (others use howpublished)
+	var VENUE_FIELDS = { article: 'journal', inproceedings: 'booktitle', incollection: 'booktitle', book: 'publisher', phdthesis: 'school' };
+
+	/* ------------------------------ Names ------------------------------ */
+
+	// "Danko CG*" -> "danko cg", for comparing author names
+	function nameKey(name) {
+		return String(name).replace(/\*/g, '').replace(/[.,]/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+	}
+
+	// "Van Belleghem SM" -> { last: "Van Belleghem", initials: "SM" }
+	function splitName(name) {
+		var clean = String(name).replace(/\*/g, '').trim();
+		var m = /^(.*\S)\s+([A-Z]+)$/.exec(clean);
+		return m ? { last: m[1], initials: m[2] } : { last: clean, initials: '' };
+	}
+
+	// BibTeX "Danko, Charles G." or "Charles G. Danko" -> "Danko CG"
+	function citationName(name) {
+		var parts, last, given;
+		name = name.replace(/[{}]/g, '').replace(/\s+/g, ' ').trim();
+		if (name.indexOf(',') >= 0) {
+			parts = name.split(',');
+			last = parts[0].trim();
+			given = parts.slice(1).join(' ');
+		} else {
+			parts = name.split(' ');
+			last = parts.pop();
+			given = parts.join(' ');
+		}
+		var initials = given.split(/[\s.\-]+/).filter(Boolean).map(function (w) { return w.charAt(0).toUpperCase(); }).join('');
+		return initials ? last + ' ' + initials : last;
+	}
+
+	/* ------------------------------ BibTeX ----------------------------- */
+
+	// Text -> [{ type, key, fields: { lowercased name: value } }]
+	function parseBibTeX(text) {
+		var entries = [];
+		var re = /@(\w+)\s*\{\s*([^,\s]*)\s*,/g;
+		var m;
+		while ((m = re.exec(text))) {
+			var type = m[1].toLowerCase();
+			if (type === 'comment' || type === 'string' || type === 'preamble') continue;
+			var fields = {};
+			var i = re.lastIndex;
+			for (;;) {
+				var f = /^\s*([\w-]+)\s*=\s*/.exec(text.slice(i));
+				if (!f) break;
+				i += f[0].length;
+				var value = '';
+				if (text.charAt(i) === '{') {
+					var depth = 0, start = i;
+					for (; i < text.length; i++) {
+						if (text.charAt(i) === '{') depth++;
+						else if (text.charAt(i) === '}' && --depth === 0) break;
+					}
+					value = text.slice(start + 1, i);
+					i++;
+				} else if (text.charAt(i) === '"') {
+					var end = text.indexOf('"', i + 1);
+					value = text.slice(i + 1, end);
+					i = end + 1;
+				} else {
+					var bare = /^[^,}\s]*/.exec(text.slice(i))[0];
+					value = bare;
+					i += bare.length;
+				}
+				fields[f[1].toLowerCase()] = value.replace(/[{}]/g, '').replace(/\s+/g, ' ').trim();
+				var sep = /^\s*,?/.exec(text.slice(i));
+				i += sep[0].length;
+			}
+			entries.push({ type: type, key: m[2], fields: fields });
+			re.lastIndex = i;
+		}
+		return entries;
+	}
+
+	function isPreprintVenue(venue) {
+		return PREPRINT_SERVERS.indexOf(String(venue || '').toLowerCase()) >= 0;
+	}
+
+	// One parsed BibTeX entry -> the JSON entry shape
+	function fromBibTeX(entry) {
+		var f = entry.fields;
+		var venue = f.journal || f.booktitle || f.howpublished || f.publisher || '';
+		var pub = {
+			id: entry.key,
+			type: entry.type === 'unpublished' || isPreprintVenue(venue) ? 'preprint' : 'article',
+			title: (f.title || '').replace(/\.$/, ''),
+			authors: (f.author || '').split(/\s+and\s+/).filter(Boolean).map(citationName),
+			year: parseInt(f.year, 10) || null,
+			venue: venue,
+			url: f.url || (f.doi ? 'https://doi.org/' + f.doi : ''),
+			entryType: entry.type
+		};
+		if (f.preprint) pub.preprint = { server: 'Preprint', url: f.preprint };
+		if (f.note) pub.notes = [{ text: f.note }];
+		if (f.labauthors) pub.labAuthors = f.labauthors.split(/\s+and\s+/).filter(Boolean).map(citationName);
+		return pub;
+	}
+
+	/* ------------------------------ Export ----------------------------- */
+
+	// "Van Belleghem SM" -> "Van Belleghem, S. M."
+	function formalName(name) {
+		var n = splitName(name);
+		return n.initials ? n.last + ', ' + n.initials.split('').join('. ') + '.' : n.last;
+	}
+
+	function bibTeXType(pub) {
+		if (pub.entryType) return pub.entryType;
+		return pub.type === 'preprint' || isPreprintVenue(pub.venue) ? 'misc' : 'article';
+	}
+
+	function toBibTeX(pub) {
+		var type = bibTeXType(pub);
+		var lines = ['@' + type + '{' + pub.id + ','];
+		var field = function (name, value) {
+			if (value) lines.push('  ' + name + ' = {' + value + '},');
+		};
+		field('title', pub.title);
+		field('author', pub.authors.map(formalName).join(' and '));
+		field(VENUE_FIELDS[type] || 'howpublished', pub.venue);
+		field('year', pub.year);
+		field('url', pub.url);
+		lines[lines.length - 1] = lines[lines.length - 1].replace(/,$/, '');
+		lines.push('}');
+		return lines.join('\n') + '\n';
+	}
+
+	function toRIS(pub) {
+		var lines = ['TY  - ' + (pub.type === 'preprint' ? 'UNPB' : 'JOUR')];
+		var field = function (tag, value) {
+			if (value) lines.push(tag + '  - ' + value);
+		};
+		field('TI', pub.title);
+		pub.authors.forEach(function (a) { field('AU', formalName(a)); });
+		field('PY', pub.year);
+		field('JO', pub.venue);
+		field('UR', pub.url);
+		lines.push('ER  - ');
+		return lines.join('\r\n') + '\r\n';
+	}
+
+	function copyText(text) {
+		if (navigator.clipboard && navigator.clipboard.writeText) return navigator.clipboard.writeText(text);
+		var $area = $('<textarea readonly></textarea>').val(text).css({ position: 'fixed', left: '-9999px' }).appendTo('body');
+		$area[0].select();
+		var ok = false;
+		try { ok = document.execCommand('copy'); } catch (e) { ok = false; }
+		$area.remove();
+		return ok ? $.Deferred().resolve().promise() : $.Deferred().reject().promise();
+	}
+
+	/* ----------------------------- Rendering --------------------------- */
+
+	function esc(text) {
+		return $('<div>').text(text === undefined || text === null ? '' : String(text)).html();
+	}
+
+	function link(title, url, text) {
+		return '<a title="[' + esc(title) + ']" href="' + esc(url) + '">' + esc(text) + '</a>';
+	}
+
+	// members: nameKey -> [{ start, end }] years in the lab, either open-ended
+	function isLabAuthor(pub, name, members) {
+		var key = nameKey(name);
+		if (pub.labAuthors) return pub.labAuthors.some(function (n) { return nameKey(n) === key; });
+		var year = parseInt(pub.year, 10);
+		return (members[key] || []).some(function (span) {
+			return isNaN(year) || ((!span.start || year >= span.start) && (!span.end || year <= span.end + PUBLICATION_DELAY));
+		});
+	}
+
+	function authorsHTML(pub, members) {
+		return pub.authors.map(function (a) {
+			return isLabAuthor(pub, a, members) ? '<span class="cgd">' + esc(a) + '</span>' : esc(a);
+		}).join(', ') + '.';
+	}
+
+	// Same markup the hand-written list used, so css/style.css applies unchanged
+	function entryHTML(pub, members) {
+		var html = '<strong>' + esc(pub.title) + '.</strong> <br>\n' + authorsHTML(pub, members) + '<br>\n';
+		if (pub.type === 'preprint') html += 'Preprint: ';
+		html += link(pub.venue, pub.url, pub.venue + '.');
+		if (pub.preprint) html += ' Preprint: ' + link(pub.preprint.server, pub.preprint.url, pub.preprint.server + '.');
+		(pub.links || []).forEach(function (l) {
+			html += ' ' + esc(l.label) + ': ' + link(l.text, l.url, l.text + '.');
+		});
+		if (pub.notes && pub.notes.length) {
+			html += ' <em>' + pub.notes.map(function (n) {
+				return '<span class="note">' + esc(n.text) + '</span>' + (n.url ? ' <a href="' + esc(n.url) + '">' + esc(n.link) + '</a>.' : '');
+			}).join(' ') + '</em>';
+		}
+		html += ' <span class="cite">Copy: <a href="#" data-id="' + esc(pub.id) + '" data-format="bibtex">BibTeX</a>' +
+			' <a href="#" data-id="' + esc(pub.id) + '" data-format="ris">RIS</a></span>';
+		return html + '\n<BR><BR>\n';
+	}
+
+	function groupOf(pub) {
+		if (pub.type === 'preprint') return 'Preprints';
+		return pub.year <= EARLY_YEAR ? EARLY_YEAR + '-' : String(pub.year);
+	}
+
+	// Preprints first, then newest year first; file order within a group
+	function sortPubs(pubs) {
+		var rank = function (p) { return p.type === 'preprint' ? Infinity : p.year; };
+		return pubs.map(function (p, i) { return { p: p, i: i }; })
+			.sort(function (a, b) { return (rank(b.p) - rank(a.p)) || (a.i - b.i); })
+			.map(function (x) { return x.p; });
+	}
+
+	/* ------------------------- Search & filters ------------------------ */
+
+	function fold(text) {
+		var s = String(text).toLowerCase();
+		return s.normalize ? s.normalize('NFD').replace(/[\u0300-\u036f]/g, '') : s;
+	}
+
+	// filters: { words: [..], year: "" | "2024", venue: "" | name, status: "" | "article" | "preprint" }
+	function matches(pub, filters) {
+		if (filters.year && String(pub.year) !== filters.year) return false;
+		if (filters.venue && pub.venue !== filters.venue) return false;
+		if (filters.status && pub.type !== filters.status) return false;
+		var haystack = fold([pub.title, pub.authors.join(', '), pub.venue, pub.year].join(' '));
+		return filters.words.every(function (w) { return haystack.indexOf(w) >= 0; });
+	}
+
+	function fillSelect($select, label, values) {
+		$select.empty().append($('<option value=""></option>').text(label));
+		values.forEach(function (v) { $select.append($('<option></option>').val(v).text(v)); });
+	}
+
+	function render($list, pubs, members, filters) {
+		var shown = pubs.filter(function (p) { return matches(p, filters); });
+		var groups = [];
+		shown.forEach(function (p) {
+			var g = groupOf(p);
+			if (!groups.length || groups[groups.length - 1].label !== g) groups.push({ label: g, items: [] });
+			groups[groups.length - 1].items.push(p);
+		});
+
+		$list.html(groups.map(function (g) {
+			return '<li>\n<span class="date"> ' + esc(g.label) + ' </span>\n<br>\n<span class="papers">\n' +
+				g.items.map(function (p) { return entryHTML(p, members); }).join('\n') + '</span>\n</li>';
+		}).join('\n'));
+		if (!shown.length) $list.html('<li><span class="papers">No publications match.</span></li>');
+		$('#pub-count').text(shown.length === pubs.length ? pubs.length + ' publications' : shown.length + ' of ' + pubs.length + ' publications');
+	}
+
+	/* ------------------------------ Startup ---------------------------- */
+
+	function load($list) {
+		var src = $list.data('src');
+		var isBib = /\.bib$/i.test(src);
+		var pubsReq = $.ajax({ url: src, dataType: 'text' });
+		// The roster only drives the underlining: without it the list still renders
+		var membersReq = $.Deferred();
+		if ($list.data('members')) {
+			$.ajax({ url: $list.data('members'), dataType: 'json' })
+				.done(function (roster) { membersReq.resolve(roster || {}); })
+				.fail(function () { membersReq.resolve({}); });
+		} else {
+			membersReq.resolve({});
+		}
+
+		// A file that does not parse, or any error while listing it, ends
+		// like a failed request
+		$.when(pubsReq, membersReq).done(function (pubsRes, roster) {
+			try {
+				show($list, isBib ? parseBibTeX(pubsRes[0]).map(fromBibTeX) : JSON.parse(pubsRes[0]).publications, roster);
+			} catch (e) {
+				if (window.console) console.error('Could not list the publications:', e);
+				failed($list);
+			}
+		}).fail(function () {
+			failed($list);
+		});
+	}
+
+	function failed($list) {
+		$('#pub-controls').hide();
+		$list.html('<li><span class="papers">The publication list could not be loaded. See ' +
+			'<a href="https://pubmed.ncbi.nlm.nih.gov/?term=%22danko+cg%22%5Bau%5D&sort=date">Pubmed</a>.</span></li>');
+	}
+
+	// pubs: the parsed records; roster: team.json ({} without one)
+	function show($list, pubs, roster) {
+		var members = {};
+		(roster.members || []).forEach(function (person) {
+			var span = { start: parseInt(person.start, 10) || null, end: parseInt(person.end, 10) || null };
+			(person.authorNames || []).forEach(function (name) {
+				(members[nameKey(name)] = members[nameKey(name)] || []).push(span);
+			});
+		});
+		pubs = sortPubs(pubs);
+		var byId = {};
+		pubs.forEach(function (p) { byId[p.id] = p; });
+
+		var years = [], venues = [];
+		pubs.forEach(function (p) {
+			if (years.indexOf(String(p.year)) < 0) years.push(String(p.year));
+			if (venues.indexOf(p.venue) < 0) venues.push(p.venue);
+		});
+		years.sort().reverse();
+		venues.sort(function (a, b) { return a.toLowerCase() < b.toLowerCase() ? -1 : 1; });
+		fillSelect($('#pub-year'), 'All years', years);
+		fillSelect($('#pub-venue'), 'All venues', venues);
+
+		var update = function () {
+			render($list, pubs, members, {
+				words: fold($('#pub-search').val()).split(/\s+/).filter(Boolean),
+				year: $('#pub-year').val(),
+				venue: $('#pub-venue').val(),
+				status: $('#pub-status').val()
+			});
+		};
+		$('#pub-search').on('input', update);
+		$('#pub-year, #pub-venue, #pub-status').on('change', update);
+		$('#pub-controls').show();
+		update();
+
+		$list.on('click', '.cite a', function (e) {
+			e.preventDefault();
+			var $a = $(this);
+			var pub = byId[$a.data('id')];
+			var text = $a.data('format') === 'ris' ? toRIS(pub) : toBibTeX(pub);
+			$.when(copyText(text)).done(function () {
+				$a.addClass('copied');
+				setTimeout(function () { $a.removeClass('copied'); }, 1500);
+			}).fail(function () {
+				window.prompt('Copy this ' + $a.text() + ':', text);
+			});
+		});
+	}
+
+	$(function () {
+		var $list = $('ul.publist[data-src]');
+		if ($list.length) load($list);
+	});
+})(jQuery);
@@ -0,0 +1,203 @@
+/*
+	Danko Lab site search
+
+	Searches files/search-index.json (built by tools/build-search-index.js)
+	in the browser. Any form.site-search works: the one in each page's
+	#header and the copy js/init.js puts at the top of the mobile navPanel.
+	Results appear in the form's .site-search-results, ranked by where the
+	words match (bold titles and headings, then link text, then body text),
+	with a snippet.
+	Enter opens the best match.
+*/
+
+(function ($) {
+	'use strict';
+
+	var INDEX_URL = 'files/search-index.json';
+	var MAX_RESULTS = 8;
+	var SNIPPET = 70;	// characters of context on each side of the first match
+
+	// Field weights: a word in a block's bold title or a heading says more
+	// than one in running text
+	var WEIGHTS = { title: 6, heading: 5, links: 3, text: 1 };
+
+	var indexRequest = null;
+
+	/* ------------------------------ Index ------------------------------ */
+
+	// Lowercase without accents, one character out per character in, so
+	// positions in the folded text match positions in the original
+	function fold(text) {
+		var out = '';
+		text = String(text);
+		for (var i = 0; i < text.length; i++) {
+			var c = text.charAt(i).toLowerCase();
+			if (c.normalize) c = c.normalize('NFD').charAt(0);
+			out += c;
+		}
+		return out;
+	}
+
+	function loadIndex() {
+		if (!indexRequest) {
+			indexRequest = $.ajax({ url: INDEX_URL, dataType: 'json' }).then(function (data) {
+				return data.records.map(function (r) {
+					return {
+						record: r,
+						title: fold(r.title || ''),
+						heading: fold(r.heading),
+						links: fold((r.links || []).map(function (l) { return l.text; }).join(' ')),
+						text: fold(r.text)
+					};
+				});
+			});
+			indexRequest.fail(function () { indexRequest = null; });
+		}
+		return indexRequest;
+	}
+
+	/* ------------------------------ Ranking ---------------------------- */
+
+	function terms(query) {
+		return fold(query).split(/[^a-z0-9]+/).filter(Boolean);
+	}
+
+	function wordAt(haystack, term) {
+		return new RegExp('(^|[^a-z0-9])' + term + '($|[^a-z0-9])').test(haystack);
+	}
+
+	// Every term must match somewhere; whole words count double
+	function score(entry, words, phrase) {
+		var total = 0;
+		for (var i = 0; i < words.length; i++) {
+			var best = 0;
+			for (var field in WEIGHTS) {
+				var haystack = entry[field];
+				if (haystack.indexOf(words[i]) < 0) continue;
+				best = Math.max(best, WEIGHTS[field] * (wordAt(haystack, words[i]) ? 2 : 1));
+			}
+			if (!best) return 0;
+			total += best;
+		}
+		if (words.length > 1 && (entry.title.indexOf(phrase) >= 0 || entry.heading.indexOf(phrase) >= 0 || entry.text.indexOf(phrase) >= 0)) total += 5;
+		if (entry.record.kind === 'heading') total += 1;
+		return total;
+	}
+
+	function search(entries, query) {
+		var words = terms(query);
+		if (!words.length) return [];
+		var phrase = words.join(' ');
+		return entries.map(function (e, i) { return { entry: e, score: score(e, words, phrase), i: i }; })
+			.filter(function (r) { return r.score > 0; })
+			.sort(function (a, b) { return (b.score - a.score) || (a.i - b.i); });
+	}
+
+	/* ----------------------------- Rendering --------------------------- */
+
+	function esc(text) {
+		return $('<div>').text(text === undefined || text === null ? '' : String(text)).html();
+	}
+
+	// Escaped text with every occurrence of words wrapped in <mark>
+	function highlight(text, words) {
+		var folded = fold(text), marks = [];
+		words.forEach(function (w) {
+			for (var at = folded.indexOf(w); at >= 0; at = folded.indexOf(w, at + w.length)) marks.push([at, at + w.length]);
+		});
+		marks.sort(function (a, b) { return a[0] - b[0]; });
+		var html = '', pos = 0;
+		marks.forEach(function (m) {
+			if (m[0] < pos) return;
+			html += esc(text.slice(pos, m[0])) + '<mark>' + esc(text.slice(m[0], m[1])) + '</mark>';
+			pos = m[1];
+		});
+		return html + esc(text.slice(pos));
+	}
+
+	function snippet(entry, words) {
+		var text = entry.record.text;
+		var first = -1;
+		words.forEach(function (w) {
+			var at = entry.text.indexOf(w);
+			if (at >= 0 && (first < 0 || at < first)) first = at;
+		});
+		if (first < 0) first = 0;
+		var start = Math.max(0, first - SNIPPET);
+		var end = Math.min(text.length, first + SNIPPET * 2);
+		if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+		if (end < text.length) end = text.lastIndexOf(' ', end) > first ? text.lastIndexOf(' ', end) : end;
+		return (start > 0 ? '&hellip;' : '') + highlight(text.slice(start, end), words) + (end < text.length ? '&hellip;' : '');
+	}
+
+	// A record's page, at its element when the index gives one
+	function recordURL(r) {
+		return r.anchor ? r.url + '#' + encodeURIComponent(r.anchor) : r.url;
+	}
+
+	function resultHTML(entry, words) {
+		var r = entry.record;
+		var label = r.title || r.heading;
+		var title = label && label !== r.page ? esc(r.page) + ' &rsaquo; ' + highlight(label, words) : esc(r.page);
+		var html = '<li><a class="site-search-title" href="' + esc(recordURL(r)) + '">' + title + '</a>';
+		if (r.kind !== 'heading') html += '<p>' + snippet(entry, words) + '</p>';
+		var link = (r.links || []).filter(function (l) { return words.some(function (w) { return fold(l.text).indexOf(w) >= 0; }); })[0];
+		if (link) html += '<a class="site-search-link" href="' + esc(link.url) + '">' + highlight(link.text, words) + '</a>';
+		return html + '</li>';
+	}
+
+	function show($form, query) {
+		var $results = $form.find('.site-search-results');
+		if (!terms(query).length) {
+			$results.empty().hide();
+			return;
+		}
+		loadIndex().done(function (entries) {
+			if ($form.find('input[name=q]').val() !== query) return;	// a newer keystroke is on its way
+			var words = terms(query);
+			var found = search(entries, query);
+			$form.data('best', found.length ? recordURL(found[0].entry.record) : null);
+			var html = found.length ?
+				'<ol>' + found.slice(0, MAX_RESULTS).map(function (f) { return resultHTML(f.entry, words); }).join('') + '</ol>' +
+					(found.length > MAX_RESULTS ? '<p class="site-search-more">' + (found.length - MAX_RESULTS) + ' more matches; try more words.</p>' : '') :
+				'<p class="site-search-more">No matches for &ldquo;' + esc(query) + '&rdquo;.</p>';
+			$results.html(html).show();
+		}).fail(function () {
+			$results.html('<p class="site-search-more">Search is unavailable right now.</p>').show();
+		});
+	}
+
+	/* ------------------------------ Events ----------------------------- */
+
+	// Delegated, so the navPanel copy (built by skel-panels after load) works too
+	var timer = null;
+	$(document).on('input', '.site-search input[name=q]', function () {
+		var $form = $(this).closest('.site-search');
+		var query = this.value;
+		clearTimeout(timer);
+		timer = setTimeout(function () { show($form, query); }, 120);
+	});
+
+	$(document).on('focus', '.site-search input[name=q]', function () {
+		loadIndex();
+		if (this.value) $(this).closest('.site-search').find('.site-search-results:not(:empty)').show();
+	});
+
+	$(document).on('keydown', '.site-search input[name=q]', function (e) {
+		if (e.keyCode === 27) {
+			this.value = '';
+			$(this).closest('.site-search').find('.site-search-results').empty().hide();
+		}
+	});
+
+	$(document).on('submit', '.site-search', function (e) {
+		e.preventDefault();
+		var best = $(this).data('best');
+		if (best) window.location.href = best;
+	});
+
+	// Clicking elsewhere closes the header's results; the navPanel keeps its own
+	$(document).on('click', function (e) {
+		if (!$(e.target).closest('.site-search').length) $('#header .site-search-results').hide();
+	});
+})(jQuery);
@@ -0,0 +1,120 @@
+/*
+	Danko Lab team page
+
+	Renders Team.html from the lab roster, named by the data-src attribute
+	of #team (files/team.json), into the same 4u/8u rows the page used to
+	repeat by hand. Anyone whose end date has passed moves to the Lab Alumni
+	section on their own; alumni are listed most recent first.
+
+	Roster entries look like
+		{ "name": "Paul Munn", "role": "Computational Biology Graduate Student",
+		  "photo": "images/Paul.jpg",                   (default images/anon.jpg)
+		  "authorNames": ["Munn PR"],                   (underlined on Publications.html)
+		  "start": "2016", "end": "2020",               (YYYY, YYYY-MM or YYYY-MM-DD)
+		  "bio": "HTML ...",
+		  "position": { "text": "...", "url": "..." },  (where alumni went; url optional)
+		  "links": { "bluesky": "...", "github": "...", "scholar": "...", "cv": "...", "pubmed": "..." } }
+	start and end also limit underlining to papers from those years (see
+	js/publications.js). "listed": false keeps someone off this page
+	(co-authors who were never on the team page) while still counting them
+	as lab authors.
+*/
+
+(function ($) {
+	'use strict';
+
+	var DEFAULT_PHOTO = 'images/anon.jpg';
+
+	function esc(text) {
+		return $('<div>').text(text === undefined || text === null ? '' : String(text)).html();
+	}
+
+	function today() {
+		var d = new Date();
+		var pad = function (n) { return (n < 10 ? '0' : '') + n; };
+		return d.getFullYear() + '-' + pad(d.getMonth() + 1) + '-' + pad(d.getDate());
+	}
+
+	// "2023" <= "2023-06-01": a bare year counts as ended once that year starts
+	function isAlumnus(member, now) {
+		return !!member.end && String(member.end) <= now;
+	}
+
+	function year(date) {
+		return String(date).slice(0, 4);
+	}
+
+	function roleHTML(member, alumnus) {
+		var role = esc(member.role);
+		if (alumnus && member.start) role += ', ' + year(member.start) + '-' + year(member.end);
+		return '<p>' + role + '</p>';
+	}
+
+	function bioHTML(member) {
+		var html = member.bio || '';
+		if (member.position) {
+			var pos = member.position.url ?
+				'<a title="[' + esc(member.position.text) + ']" href="' + esc(member.position.url) + '">' + esc(member.position.text) + '</a>' :
+				esc(member.position.text);
+			html += (html ? '<BR><BR>\n' : '') + 'Current position: ' + pos;
+		}
+		return html ? '<p>' + html + '</p>' : '';
+	}
+
+	function linksHTML(links) {
+		var out = [];
+		if (!links) return '';
+		if (links.bluesky) {
+			out.push('<a href="' + esc(links.bluesky) + '" class="bluesky-follow-button"><img src="images/Bluesky.png"/>@' +
+				esc(links.bluesky.replace(/\/+$/, '').split('/').pop()) + '</a>');
+		}
+		if (links.github) {
+			out.push('<a href="' + esc(links.github) + '"><img src="images/github.png" alt="GitHub" /></a>');
+		}
+		if (links.scholar) out.push('<a title="[Google Scholar]" href="' + esc(links.scholar) + '">Google Scholar</a>');
+		if (links.cv) out.push('<a href="' + esc(links.cv) + '">CV</a>');
+		if (links.pubmed) out.push('<a title="[PubMed]" href="' + esc(links.pubmed) + '">Danko lab publications.</a>');
+		return out.length ? '<div class="row team-links">\n' + out.join('\n') + '\n</div>' : '';
+	}
+
+	function memberHTML(member, alumnus) {
+		return '<div class="row">\n' +
+			'<div class="4u">\n<a href="#" class="image team"><img src="' + esc(member.photo || DEFAULT_PHOTO) + '" alt="' + esc(member.name) + '" /></a>\n</div>\n' +
+			'<div class="8u">\n<h2>' + esc(member.name) + '</h2>\n' + roleHTML(member, alumnus) + '\n' +
+			bioHTML(member) + '\n' + linksHTML(member.links) + '\n</div>\n</div>';
+	}
+
+	// Most recent departures first; roster order breaks ties
+	function byEndDescending(list) {
+		return list.map(function (m, i) { return { m: m, i: i }; })
+			.sort(function (a, b) {
+				var ea = String(a.m.end), eb = String(b.m.end);
+				return ea < eb ? 1 : ea > eb ? -1 : a.i - b.i;
+			})
+			.map(function (x) { return x.m; });
+	}
+
+	function render($team, roster) {
+		var now = today();
+		var listed = (roster.members || []).filter(function (m) { return m.listed !== false; });
+		var current = listed.filter(function (m) { return !isAlumnus(m, now); });
+		var alumni = byEndDescending(listed.filter(function (m) { return isAlumnus(m, now); }));
+
+		var html = current.map(function (m) { return memberHTML(m, false); }).join('\n');
+		if (alumni.length) {
+			html += '\n<BR><BR>\n<header><span class="subsectit">Lab Alumni</span></header>\n<BR><BR>\n' +
+				alumni.map(function (m) { return memberHTML(m, true); }).join('\n');
+		}
+		$team.html(html);
+	}
+
+	$(function () {
+		var $team = $('#team[data-src]');
+		if (!$team.length) return;
+		$.ajax({ url: $team.data('src'), dataType: 'json' })
+			.done(function (roster) { render($team, roster); })
+			.fail(function () {
+				$team.html('<div class="row"><div class="12u"><p>The team roster could not be loaded.</p></div></div>');
+			});
+	});
+})(jQuery);
@@ -0,0 +1,142 @@
+/*
+	Builds files/search-index.json, the static index js/search.js searches.
+
+		node tools/build-search-index.js
+
+	Re-run after editing a page, files/publications.json or files/team.json
+	and commit the result. Each record is one heading, paragraph or list
+	item from a page's #main section (its bold lead, if any, as the title,
+	its links kept separately, and as anchor the id of its element or else
+	of its heading), one publication, or one listed team
+	member; Publications.html and Team.html are rendered in the browser, so
+	their lists come from the data files.
+*/
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+
+var ROOT = path.join(__dirname, '..');
+var OUTPUT = path.join(ROOT, 'files', 'search-index.json');
+var PAGES = ['index.html', 'Research.html', 'Software.html', 'Publications.html', 'Team.html', 'Contact.html'];
+var MIN_TEXT = 12;	// shorter blocks without links ("April 2019") are not worth a result
+
+var ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', mdash: '—', ndash: '–', middot: '·', hellip: '…' };
+
+function decode(text) {
+	return text.replace(/&(#x?[0-9a-f]+|\w+);/gi, function (m, code) {
+		if (code.charAt(0) === '#') {
+			return String.fromCharCode(code.charAt(1).toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+		}
+		return ENTITIES.hasOwnProperty(code.toLowerCase()) ? ENTITIES[code.toLowerCase()] : m;
+	});
+}
+
+function plain(html) {
+	return decode(html.replace(/<br\s*\/?>/gi, ' ').replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+function linksIn(html) {
+	var links = [], re = /<a\b[^>]*\bhref\s*=\s*("([^"]*)"|'([^']*)'|([^\s>]+))[^>]*>([\s\S]*?)<\/a>/gi, m;
+	while ((m = re.exec(html))) {
+		var url = decode((m[2] || m[3] || m[4] || '').trim());
+		var text = plain(m[5]);
+		if (!url || url === '#' || /^(mailto|javascript):/i.test(url) || !text) continue;
+		links.push({ text: text, url: url });
+	}
+	return links;
+}
+
+// Page name as the nav menu shows it ("Homepage", "Research", ...)
+function pageName(html, file) {
+	var m = new RegExp('<li class="active"><a href="' + file.replace('.', '\\.') + '">([^<]*)</a>').exec(html);
+	return m ? m[1] : file.replace(/\.html$/, '');
+}
+
+function withAnchor(record, id) {
+	if (id) record.anchor = id;
+	return record;
+}
+
+// #main of one page -> records, split at block-level tags
+function pageRecords(file) {
+	var html = fs.readFileSync(path.join(ROOT, file), 'utf8');
+	var page = pageName(html, file);
+	var start = html.indexOf('<!-- Main -->');
+	var end = html.indexOf('<!-- Footer -->');
+	var main = html.slice(start < 0 ? 0 : start, end < 0 ? html.length : end)
+		.replace(/<!--[\s\S]*?-->/g, '')
+		.replace(/<(script|noscript|style|select)\b[\s\S]*?<\/\1>/gi, '');
+
+	var records = [];
+	var heading = page;
+	var headingId = null;
+	var inHeading = false;
+	var id = null;	// id of the element the next part opens, if any
+	var parts = main.split(/(<\/?(?:h[1-6]|p|li|div|section|header|ul|ol|table|tr|td)\b[^>]*>)/i);
+	parts.forEach(function (part, i) {
+		if (i % 2 === 1) {
+			var tag = /^<(\/?)(\w+)/.exec(part);
+			var attr = /\sid\s*=\s*("([^"]*)"|'([^']*)'|([^\s>\/]+))/i.exec(part);
+			id = !tag[1] && attr ? decode(attr[2] || attr[3] || attr[4]) : null;
+			if (/^h[1-6]$/i.test(tag[2])) {
+				inHeading = !tag[1];
+				if (inHeading) headingId = id;
+			}
+			return;
+		}
+		var text = plain(part);
+		var links = linksIn(part);
+		if (!text) return;
+		if (inHeading) {
+			heading = text;
+			records.push(withAnchor({ url: file, page: page, heading: heading, kind: 'heading', text: text }, headingId));
+			return;
+		}
+		if (text.length < MIN_TEXT && !links.length) return;
+		var record = withAnchor({ url: file, page: page, heading: heading, kind: 'text', text: text }, id || headingId);
+		var lead = /<(strong|b)\b[^>]*>([\s\S]*?)<\/\1>/i.exec(part);
+		if (lead && plain(lead[2])) record.title = plain(lead[2]).replace(/[.:]$/, '');
+		if (links.length) record.links = links;
+		records.push(record);
+	});
+	return records;
+}
+
+function publicationRecords() {
+	var pubs = JSON.parse(fs.readFileSync(path.join(ROOT, 'files', 'publications.json'), 'utf8')).publications;
+	return pubs.map(function (p) {
+		var links = [{ text: p.venue, url: p.url }];
+		if (p.preprint) links.push({ text: p.preprint.server, url: p.preprint.url });
+		(p.links || []).forEach(function (l) { links.push({ text: l.label + ': ' + l.text, url: l.url }); });
+		return {
+			url: 'Publications.html', page: 'Publications', heading: p.title, kind: 'publication',
+			text: p.authors.join(', ') + '. ' + p.venue + ', ' + p.year + '.', links: links
+		};
+	});
+}
+
+function teamRecords() {
+	var members = JSON.parse(fs.readFileSync(path.join(ROOT, 'files', 'team.json'), 'utf8')).members;
+	return members.filter(function (m) { return m.listed !== false; }).map(function (m) {
+		var record = {
+			url: 'Team.html', page: 'Team', heading: m.name, kind: 'person',
+			text: [m.role, plain(m.bio || ''), m.position ? 'Current position: ' + m.position.text : ''].filter(Boolean).join('. ')
+		};
+		var links = linksIn(m.bio || '');
+		if (links.length) record.links = links;
+		return record;
+	});
+}
+
+var records = [];
+PAGES.forEach(function (file) {
+	records = records.concat(pageRecords(file));
+	if (file === 'Publications.html') records = records.concat(publicationRecords());
+	if (file === 'Team.html') records = records.concat(teamRecords());
+});
+
+// One record per line keeps diffs of the committed index readable
+fs.writeFileSync(OUTPUT, '{"records": [\n' + records.map(function (r) { return JSON.stringify(r); }).join(',\n') + '\n]}\n');
+console.log('Wrote ' + records.length + ' records to ' + path.relative(ROOT, OUTPUT));